@@ -0,0 +1,345 @@
+/**
+ * BallSimulation - Runs the GolfBall flight and roll model without Phaser
+ *
+ * The real GolfBall, terrain and wind classes are driven by a small headless
+ * stand-in for the parts of Phaser they touch (graphics calls, an arcade
+ * body and delayed calls). Each step integrates the body the way arcade
+ * physics does (gravity, linear drag, max velocity, world bounds) and then
+ * runs GolfBall.fixedUpdate, the same step HoleScene runs in the browser.
+ *
+ * Usage from Node (course files are plain JSON):
+ *   const course = parseCourse(JSON.parse(fs.readFileSync('assets/courses/default.json')));
+ *   simulateShot(course.holes[0], { club: 'driver' });
+ */
+import { GolfBall } from './golfball.js';
+import { ClubManager, CLUB_TYPES } from './clubs.js';
+import { WindSystem } from './wind.js';
+import { SeededRandom } from './random.js';
+import { createTerrain } from './CourseLoader.js';
+import { SPIN_TYPES } from './spin.js';
+
+// Same rate as the arcade physics config in main.js
+export const SIMULATION_FPS = 60;
+
+// World gravity from the arcade physics config in main.js
+const WORLD_GRAVITY_Y = 100;
+
+// Player.maxPower - what a fully charged swing hits with
+const FULL_POWER = 2.0;
+
+// Give up on shots that never settle (e.g. rocking on a slope)
+const DEFAULT_MAX_TIME = 30000;
+
+// Graphics object that accepts and ignores every drawing call
+function createNullGraphics() {
+  const graphics = new Proxy({}, {
+    get: () => () => graphics
+  });
+  return graphics;
+}
+
+// Arcade body stand-in with the setters GolfBall uses
+class HeadlessBody {
+  constructor(sprite, world) {
+    this.sprite = sprite;
+    this.world = world;
+    this.velocity = { x: 0, y: 0 };
+    this.gravity = { x: 0, y: 0 };
+    this.drag = { x: 0, y: 0 };
+    this.maxVelocity = { x: 10000, y: 10000 };
+    this.bounce = { x: 0, y: 0 };
+    this.friction = { x: 1, y: 0 };
+    this.radius = 0;
+    this.immovable = false;
+    this.allowGravity = true;
+    this.collideWorldBounds = false;
+    this.onWorldBounds = false;
+  }
+
+  setCircle(radius) { this.radius = radius; return this; }
+  setBounce(x, y = x) { this.bounce = { x, y }; return this; }
+  setDrag(x, y = x) { this.drag = { x, y }; return this; }
+  setMaxVelocity(x, y = x) { this.maxVelocity = { x, y }; return this; }
+  setFriction(x, y = x) { this.friction = { x, y }; return this; }
+  setGravityY(y) { this.gravity.y = y; return this; }
+  setCollideWorldBounds(value = true) { this.collideWorldBounds = value; return this; }
+  setImmovable(value = true) { this.immovable = value; return this; }
+  setVelocity(x, y = x) { this.velocity = { x, y }; return this; }
+  setVelocityX(x) { this.velocity.x = x; return this; }
+  setVelocityY(y) { this.velocity.y = y; return this; }
+
+  // Apply gravity, drag and max velocity, then move (delta in seconds)
+  update(delta) {
+    let vx = this.velocity.x;
+    let vy = this.velocity.y;
+
+    if (this.allowGravity) {
+      vx += this.gravity.x * delta;
+      vy += (this.world.gravity.y + this.gravity.y) * delta;
+    }
+
+    vx = this.applyDrag(vx, this.drag.x * delta);
+    vy = this.applyDrag(vy, this.drag.y * delta);
+
+    this.velocity.x = Math.max(-this.maxVelocity.x, Math.min(this.maxVelocity.x, vx));
+    this.velocity.y = Math.max(-this.maxVelocity.y, Math.min(this.maxVelocity.y, vy));
+
+    this.sprite.x += this.velocity.x * delta;
+    this.sprite.y += this.velocity.y * delta;
+
+    if (this.collideWorldBounds) {
+      this.checkWorldBounds();
+    }
+  }
+
+  // Linear drag towards zero, as arcade physics does without damping
+  applyDrag(velocity, amount) {
+    if (velocity - amount > 0) return velocity - amount;
+    if (velocity + amount < 0) return velocity + amount;
+    return 0;
+  }
+
+  // Keep the ball inside the world, bouncing off the edges
+  checkWorldBounds() {
+    const { bounds } = this.world;
+    const sides = { up: false, down: false, left: false, right: false };
+
+    if (this.sprite.x - this.radius < bounds.x) {
+      this.sprite.x = bounds.x + this.radius;
+      this.velocity.x *= -this.bounce.x;
+      sides.left = true;
+    } else if (this.sprite.x + this.radius > bounds.x + bounds.width) {
+      this.sprite.x = bounds.x + bounds.width - this.radius;
+      this.velocity.x *= -this.bounce.x;
+      sides.right = true;
+    }
+
+    if (this.sprite.y - this.radius < bounds.y) {
+      this.sprite.y = bounds.y + this.radius;
+      this.velocity.y *= -this.bounce.y;
+      sides.up = true;
+    } else if (this.sprite.y + this.radius > bounds.y + bounds.height) {
+      this.sprite.y = bounds.y + bounds.height - this.radius;
+      this.velocity.y *= -this.bounce.y;
+      sides.down = true;
+    }
+
+    if (this.onWorldBounds && (sides.up || sides.down || sides.left || sides.right)) {
+      this.world.emit('worldbounds', this, sides.up, sides.down, sides.left, sides.right);
+    }
+  }
+}
+
+// Game object stand-in for the ball circle
+class HeadlessSprite {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.visible = true;
+    this.body = null;
+  }
+
+  setPosition(x, y) { this.x = x; this.y = y; return this; }
+  setX(x) { this.x = x; return this; }
+  setY(y) { this.y = y; return this; }
+  setVisible(visible) { this.visible = visible; return this; }
+  setStrokeStyle() { return this; }
+  setDepth() { return this; }
+}
+
+// Scene stand-in with just enough of Phaser for a hole's terrain and ball
+function createHeadlessScene(hole, clubManager) {
+  const listeners = {};
+  const timers = [];
+  const bodies = [];
+
+  const world = {
+    gravity: { x: 0, y: WORLD_GRAVITY_Y },
+    bounds: { x: 0, y: hole.world.top, width: hole.width, height: hole.world.height },
+    on(event, callback) {
+      (listeners[event] = listeners[event] || []).push(callback);
+    },
+    emit(event, ...args) {
+      (listeners[event] || []).forEach(callback => callback(...args));
+    }
+  };
+
+  return {
+    clubManager: clubManager,
+    shotCount: 1,
+    add: {
+      graphics: () => createNullGraphics(),
+      renderTexture: () => createNullGraphics(),
+      circle: (x, y) => new HeadlessSprite(x, y)
+    },
+    physics: {
+      world: world,
+      add: {
+        existing: (sprite) => {
+          sprite.body = new HeadlessBody(sprite, world);
+          bodies.push(sprite.body);
+          return sprite;
+        }
+      }
+    },
+    time: {
+      delayedCall: (delay, callback) => {
+        timers.push({ remaining: delay, callback });
+      }
+    },
+
+    // Advance bodies and delayed calls by one step (delta in seconds)
+    step(delta) {
+      bodies.forEach(body => body.update(delta));
+
+      for (let i = timers.length - 1; i >= 0; i--) {
+        timers[i].remaining -= delta * 1000;
+        if (timers[i].remaining <= 0) {
+          const [timer] = timers.splice(i, 1);
+          timer.callback();
+        }
+      }
+    }
+  };
+}
+
+// Run console.log-heavy game code without flooding the output
+function withQuietConsole(quiet, run) {
+  if (!quiet) return run();
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return run();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Hit one shot on a hole and follow it until it stops, goes in or finds water
+ *
+ * options:
+ *   club      - 'driver', 'iron', 'wedge' or 'putter' (default driver)
+ *   power     - charge multiplier as the power meter gives it, 0.2-2.0 (default 2, a full charge)
+ *   x         - ball start x in pixels (default the hole's tee)
+ *   direction - 1 to hit right, -1 to hit left (default 1)
+ *   spin      - one of SPIN_TYPES from spin.js, e.g. 'backspin' (default none)
+ *   wind      - { speed, direction } in mph and degrees, or null for calm (default)
+ *   seed      - seed for shot variation and wind changes (default 1)
+ *   maxTime   - simulated ms before giving up (default 30 seconds)
+ *   quiet     - silence the game's console logging (default true)
+ *
+ * Returns distances in yards and the outcome: 'stopped', 'holed', 'water', 'outOfBounds',
+ * 'lost', 'stuckInTree' or 'timeout' (after water the rest position is the back-on-the-line
+ * drop GolfBall takes when nobody chooses the relief, after out of bounds or lost it is back
+ * at the start, stuck in a tree it is up in the branches), and cupEvents listing any
+ * lip-outs, hops over the cup or flagstick hits on the way.
+ */
+export function simulateShot(hole, options = {}) {
+  const {
+    club = 'driver',
+    power = FULL_POWER,
+    x = hole.tee.x,
+    direction = 1,
+    spin = SPIN_TYPES.NONE,
+    wind = null,
+    seed = 1,
+    maxTime = DEFAULT_MAX_TIME,
+    quiet = true
+  } = options;
+
+  return withQuietConsole(quiet, () => {
+    const clubManager = new ClubManager();
+    if (!clubManager.selectClub(club)) {
+      throw new Error(`Unknown club "${club}"`);
+    }
+
+    const scene = createHeadlessScene(hole, clubManager);
+    const random = new SeededRandom(seed);
+    const terrain = createTerrain(scene, hole);
+
+    // Place the ball the way HoleScene does
+    const golfBall = new GolfBall(scene, x, terrain.getHeightAtX(x) - 10);
+    golfBall.setTerrain(terrain);
+    golfBall.setRandom(random.fork('shots'));
+
+    let windSystem = null;
+    if (wind) {
+      windSystem = new WindSystem(scene, random.fork('wind'));
+      windSystem.windSpeed = wind.speed;
+      windSystem.windDirection = wind.direction;
+      golfBall.setWindSystem(windSystem);
+    }
+
+    let outcome = 'timeout';
+    golfBall.setOnWaterPenaltyCallback(() => { outcome = 'water'; });
+    golfBall.setOnHoleCompletedCallback(() => { outcome = 'holed'; });
+    golfBall.setOnOutOfBoundsCallback(ruling => { outcome = ruling; });
+    golfBall.setOnStuckInTreeCallback(() => { outcome = 'stuckInTree'; });
+
+    // Near misses on the way (lip-outs, hops over the cup, flagstick hits)
+    const cupEvents = [];
+    golfBall.setOnLipOutCallback(type => cupEvents.push(type));
+    golfBall.setOnFlagstickCallback(() => cupEvents.push('flagstick'));
+
+    const startX = golfBall.x;
+    golfBall.hit({ flipX: direction < 0 }, clubManager, power, spin);
+
+    // Landing spot is the first terrain contact after the ball leaves the ground
+    const delta = 1 / SIMULATION_FPS;
+    let airborne = false;
+    let landingX = null;
+    let maxHeight = 0;
+    let time = 0;
+
+    while (time < maxTime) {
+      scene.step(delta);
+      if (windSystem) {
+        windSystem.update(delta * 1000);
+      }
+      golfBall.fixedUpdate(delta * 1000, club);
+      time += delta * 1000;
+
+      // Within 5px of the surface counts as touching, as in GolfBall.checkBounceSound
+      const height = terrain.getGroundHeightAt(golfBall.x, golfBall.y + golfBall.groundRadius) - (golfBall.y + golfBall.groundRadius);
+      if (height > 5) {
+        airborne = true;
+        maxHeight = Math.max(maxHeight, height);
+      } else if (airborne && landingX === null) {
+        landingX = golfBall.x;
+      }
+
+      if (outcome !== 'timeout') break;
+      if (!golfBall.isTrackingDistance()) {
+        outcome = 'stopped';
+        break;
+      }
+    }
+
+    const pixelsPerYard = golfBall.pixelsPerYard;
+    const totalPixels = Math.abs(golfBall.x - startX);
+    const carryPixels = landingX === null ? 0 : Math.abs(landingX - startX);
+
+    return {
+      club: club,
+      power: power,
+      outcome: outcome,
+      carry: Math.round(carryPixels / pixelsPerYard),
+      roll: Math.round((totalPixels - carryPixels) / pixelsPerYard),
+      total: Math.round(totalPixels / pixelsPerYard),
+      apex: Math.round(maxHeight / pixelsPerYard),
+      landingX: landingX,
+      restX: golfBall.x,
+      restY: golfBall.y,
+      lie: golfBall.getLie().type,
+      cupEvents: cupEvents,
+      time: Math.round(time)
+    };
+  });
+}
+
+// Simulate a full-power shot with every club from a hole's tee
+export function simulateClubs(hole, options = {}) {
+  return Object.values(CLUB_TYPES).map(club => simulateShot(hole, { ...options, club }));
+}
@@ -0,0 +1,540 @@
+/**
+ * BaseTerrain - Shared height map, green, hazards and queries for every hole shape
+ *
+ * Subclasses only describe the shape of the ground: setShape() reads their
+ * parameters from the hole's terrain definition, getBaseHeightAtX() gives the
+ * ground height before the green is added, and smoothing lists the smoothing
+ * kernels run over the height map. Everything else (green, cup, hazards,
+ * graphics and the height/slope/normal queries) is built here the same way for
+ * all holes.
+ *
+ * The height map is the ground wherever nothing stands on it. Structures
+ * (polygons for bridges, ledges and overhangs) can put more ground above it,
+ * so anything resting on the ground asks getGroundHeightAt(x, y) - the top
+ * under that point - instead of getHeightAtX(x). On holes without structures
+ * the two are the same.
+ *
+ * The ball and player query the ground every physics step, so slopes and
+ * surfaces are worked out once when the hole is built (buildLookups), and the
+ * finished ground graphics are baked into culled texture chunks (TerrainChunks).
+ */
+import { drawSurfaces, indexSurfaces, findIndexedSurface, getGreenContourHeight } from './surfaces.js';
+import { Cup } from './Cup.js';
+import { TerrainChunks } from './TerrainChunks.js';
+import { WaterHazardMixin } from './WaterHazard.js';
+import { BunkerMixin } from './Bunker.js';
+import { StructureMixin } from './Structure.js';
+import { ObstacleMixin } from './Obstacle.js';
+
+// Smoothing used when a shape doesn't give its own: 3 passes of a 3-point average
+const DEFAULT_SMOOTHING = [
+  { kernel: [0.3, 0.4, 0.3], passes: 3 }
+];
+
+// Deepest ground overlay (green, and water and sand following the ground) - baked with the terrain
+const GROUND_OVERLAY_DEPTH = 2;
+
+// Room baked above the highest ground for grass and the rings round the cup
+const BAKE_MARGIN = 100;
+
+export class BaseTerrain {
+  constructor(scene, hole) {
+    this.scene = scene;
+    this.hole = hole; // Hole definition from the course file
+    this.width = hole.width;
+    this.baseHeight = hole.baseHeight; // Base ground level
+    this.heightMap = [];
+    this.terrainGraphics = null;
+    this.segments = hole.segments;
+    this.smoothing = DEFAULT_SMOOTHING;
+    
+    // Hole-specific shape parameters
+    this.setShape(hole.terrain);
+    
+    // Green properties
+    this.greenWidth = hole.green.width;
+    this.greenStartX = hole.green.startX;
+    this.greenEndX = this.greenStartX + this.greenWidth;
+    this.greenHeight = hole.green.height; // Elevation of the green above the surrounding ground
+    this.greenSlopeWidth = hole.green.slopeWidth; // Width of the slopes up to the green
+    this.greenContour = hole.green.contour; // Authored heights across the green (empty = flat)
+    this.greenStimp = hole.green.stimp; // Green speed
+    this.greenLevel = this.getBaseHeightAtX(this.greenStartX + this.greenWidth / 2); // Ground level a contoured green is built on
+    
+    // Surface lies (tee, fairway, rough...) by x-range
+    this.surfaces = hole.surfaces;
+    
+    // Out-of-bounds stakes ({ left, right } x positions)
+    this.outOfBounds = hole.outOfBounds;
+    
+    // Pin/hole position (pinY is set once the green is built)
+    this.pinX = hole.pin.x;
+    
+    // Water hazards, bunkers, structures and obstacles (WaterHazardMixin, BunkerMixin, StructureMixin, ObstacleMixin)
+    this.initWaterHazards();
+    this.initBunkers();
+    this.initStructures();
+    this.initObstacles();
+    
+    // Generate the terrain height map
+    this.generateTerrain();
+    
+    // Smooth the terrain for more natural curves
+    this.smoothTerrain();
+    
+    // Slopes and surfaces for the per-step queries, now the height map is final
+    this.buildLookups();
+    
+    // Cup and flagstick at the pin, sitting on the finished green
+    this.cup = new Cup(this.pinX, this.getHeightAtX(this.pinX));
+    this.pinY = this.cup.y;
+    
+    // Create visual representation
+    this.createTerrainGraphics();
+    
+    // Colour the top of the terrain by surface
+    this.surfaceGraphics = drawSurfaces(this.scene, this.heightMap, this.surfaces);
+    
+    // Lay the hole's water and sand into the ground
+    hole.water.forEach(water => this.addWaterHazard({ ...water }));
+    hole.bunkers.forEach(bunker => this.addBunker({ ...bunker }));
+    
+    // Bridges, ledges and overhangs standing on it
+    hole.structures.forEach(structure => this.addStructure({ ...structure }));
+    
+    // Trees, shrubs, fences and rocks in the way of the ball
+    hole.obstacles.forEach(obstacle => this.addObstacle({ ...obstacle }));
+    
+    // Bake the ground and what's laid into it, now it's all drawn
+    this.bakeGraphics();
+  }
+
+  // Precompute the slope of every height map segment and index the surfaces by x
+  buildLookups() {
+    this.slopes = this.heightMap.slice(0, -1).map((point, index) => this.getSegmentSlope(index));
+    this.surfaceIndex = indexSurfaces(this.surfaces);
+  }
+
+  // Bake the static ground graphics into texture chunks (water and sand laid on top of
+  // the ground go in with it; flat pools and structures are drawn above, so stay separate)
+  bakeGraphics() {
+    const groundGraphics = [
+      this.terrainGraphics,
+      this.surfaceGraphics,
+      this.greenGraphics,
+      ...this.waterHazards.map(hazard => hazard.waterGraphics),
+      ...this.bunkers.map(bunker => bunker.bunkerGraphics)
+    ].filter(graphics => graphics && graphics.depth <= GROUND_OVERLAY_DEPTH);
+    
+    // Down to the bottom of the screen the ground is filled to, from just above its highest point
+    const top = Math.min(...this.heightMap.map(point => point.y)) - BAKE_MARGIN;
+    this.chunks = new TerrainChunks(this.scene, this.width, top, 768, this.terrainGraphics.depth);
+    this.chunks.bake(groundGraphics);
+  }
+
+  // Read the shape parameters from the hole's terrain definition
+  setShape(shape) {
+    this.waves = shape.waves; // Sine waves ({ frequency, amplitude })
+  }
+
+  // Ground height before the green is added
+  getBaseHeightAtX(x) {
+    return this.baseHeight - this.getWaveHeightAtX(x);
+  }
+
+  // Height the terrain's sine waves add at x
+  getWaveHeightAtX(x) {
+    return this.waves.reduce(
+      (total, wave) => total + Math.sin(x * wave.frequency) * wave.amplitude, 0
+    );
+  }
+
+  generateTerrain() {
+    const segmentWidth = this.width / this.segments;
+    
+    for (let i = 0; i <= this.segments; i++) {
+      const x = i * segmentWidth;
+      
+      // Calculate base height
+      let height = this.getBaseHeightAtX(x);
+      
+      // Add green elevation
+      height = this.applyGreenElevation(x, height);
+      
+      this.heightMap.push({
+        x: x,
+        y: Math.max(height, 200), // Allow terrain to go much higher for elevated green (min y = 200)
+        isGreen: this.isInGreenArea(x)
+      });
+    }
+  }
+
+  smoothTerrain() {
+    // Run each smoothing kernel over the height map, leaving the green complex alone
+    this.smoothing.forEach(({ kernel, passes }) => {
+      const reach = (kernel.length - 1) / 2;
+      
+      for (let pass = 0; pass < passes; pass++) {
+        for (let i = reach; i < this.heightMap.length - reach; i++) {
+          // Skip smoothing in the green area to preserve its elevation
+          if (this.isInGreenComplex(this.heightMap[i].x)) {
+            continue;
+          }
+          
+          // Weighted average with neighbouring points
+          this.heightMap[i].y = kernel.reduce(
+            (total, weight, k) => total + this.heightMap[i + k - reach].y * weight, 0
+          );
+        }
+      }
+    });
+  }
+
+  applyGreenElevation(x, baseHeight) {
+    // Check if we're in the green area or its slopes
+    const leftSlopeStart = this.greenStartX - this.greenSlopeWidth;
+    const rightSlopeEnd = this.greenEndX + this.greenSlopeWidth;
+    
+    if (x >= leftSlopeStart && x <= rightSlopeEnd) {
+      let elevationMultiplier = 0;
+      
+      if (x >= leftSlopeStart && x < this.greenStartX) {
+        // Left slope - gradual rise to green
+        const progress = (x - leftSlopeStart) / this.greenSlopeWidth;
+        elevationMultiplier = this.smoothStep(progress);
+      } else if (x >= this.greenStartX && x <= this.greenEndX) {
+        // On the green - flat unless the hole gives it contours
+        elevationMultiplier = 1.0;
+      } else if (x > this.greenEndX && x <= rightSlopeEnd) {
+        // Right slope - gradual descent from green
+        const progress = 1 - ((x - this.greenEndX) / this.greenSlopeWidth);
+        elevationMultiplier = this.smoothStep(progress);
+      }
+      
+      // Contoured greens are levelled first so only the authored contour breaks putts
+      if (this.greenContour.length > 0) {
+        baseHeight += (this.greenLevel - baseHeight) * elevationMultiplier;
+      }
+      
+      // Contours follow the green out onto its slopes so there's no step at the edge
+      const contourHeight = getGreenContourHeight(this.hole.green, x);
+      return baseHeight - ((this.greenHeight + contourHeight) * elevationMultiplier);
+    }
+    
+    return baseHeight;
+  }
+
+  // Smooth step function for natural elevation transitions
+  smoothStep(t) {
+    return t * t * (3 - 2 * t);
+  }
+
+  // Check if x coordinate is in the green area (not including slopes)
+  isInGreenArea(x) {
+    return x >= this.greenStartX && x <= this.greenEndX;
+  }
+
+  // Check if x coordinate is in the green or slope area
+  isInGreenComplex(x) {
+    const leftSlopeStart = this.greenStartX - this.greenSlopeWidth;
+    const rightSlopeEnd = this.greenEndX + this.greenSlopeWidth;
+    return x >= leftSlopeStart && x <= rightSlopeEnd;
+  }
+
+  // Get pin position
+  getPinPosition() {
+    return {
+      x: this.pinX,
+      y: this.pinY
+    };
+  }
+
+  // Get the center position of the target circle
+  getTargetCircleCenter() {
+    const centerX = this.pinX;
+    const centerY = this.getHeightAtX(centerX);
+    return { x: centerX, y: centerY };
+  }
+
+  createTerrainGraphics() {
+    this.terrainGraphics = this.scene.add.graphics();
+    this.terrainGraphics.setDepth(1); // Ensure terrain appears below water
+    
+    // Start the path
+    this.terrainGraphics.beginPath();
+    
+    // Move to bottom left
+    this.terrainGraphics.moveTo(0, 768);
+    
+    // Draw terrain line from left to right (Phaser doesn't have quadraticCurveTo)
+    this.heightMap.forEach(point => {
+      this.terrainGraphics.lineTo(point.x, point.y);
+    });
+    
+    // Close the path at bottom right
+    this.terrainGraphics.lineTo(this.width, 768);
+    this.terrainGraphics.lineTo(0, 768);
+    this.terrainGraphics.closePath();
+    
+    // Fill with base grass color
+    this.terrainGraphics.fillStyle(0x4CAF50); // Green grass color
+    this.terrainGraphics.fillPath();
+    
+    // Add green area overlay
+    this.addGreenOverlay();
+    
+    // Add outline
+    this.terrainGraphics.lineStyle(2, 0x388E3C); // Darker green outline
+    this.terrainGraphics.strokePath();
+    
+    // Add texture details
+    this.addTerrainDetails();
+  }
+
+  addGreenOverlay() {
+    // Create a separate path for the green area
+    const greenGraphics = this.scene.add.graphics();
+    this.greenGraphics = greenGraphics;
+    greenGraphics.setDepth(2); // Green appears above terrain but below water
+    greenGraphics.fillStyle(0x2E7D32); // Darker green for the putting green
+    
+    // Find green area points
+    const greenPoints = this.heightMap.filter(point =>
+      this.isInGreenComplex(point.x)
+    );
+    
+    if (greenPoints.length > 0) {
+      greenGraphics.beginPath();
+      
+      // Start from bottom of green area
+      greenGraphics.moveTo(greenPoints[0].x, 768);
+      
+      // Draw green surface
+      greenPoints.forEach(point => {
+        greenGraphics.lineTo(point.x, point.y);
+      });
+      
+      // Close the green area
+      const lastPoint = greenPoints[greenPoints.length - 1];
+      greenGraphics.lineTo(lastPoint.x, 768);
+      greenGraphics.lineTo(greenPoints[0].x, 768);
+      greenGraphics.closePath();
+      greenGraphics.fillPath();
+      
+      // Add green texture
+      this.addGreenTexture(greenGraphics, greenPoints);
+    }
+  }
+
+  addGreenTexture(graphics, greenPoints) {
+    // Add putting green texture lines
+    graphics.lineStyle(1, 0x1B5E20, 0.4); // Even darker green for texture
+    
+    const startX = greenPoints[0].x;
+    const endX = greenPoints[greenPoints.length - 1].x;
+    
+    // Add horizontal mowing lines
+    for (let x = startX; x < endX; x += 30) {
+      const height1 = this.getHeightAtX(x);
+      const height2 = this.getHeightAtX(x + 25);
+      graphics.lineBetween(x, height1, x + 25, height2);
+    }
+    
+    // Add some circular patterns typical of putting greens around the pin
+    const centerX = this.pinX;
+    const centerY = this.getHeightAtX(centerX);
+    
+    for (let radius = 20; radius <= 80; radius += 20) {
+      graphics.lineStyle(1, 0x1B5E20, 0.2);
+      graphics.strokeCircle(centerX, centerY, radius);
+    }
+  }
+
+  addTerrainDetails() {
+    // Add some grass texture lines for regular terrain
+    this.terrainGraphics.lineStyle(1, 0x66BB6A, 0.3);
+    
+    for (let i = 0; i < this.segments; i += 5) {
+      const point = this.heightMap[i];
+      if (point && !this.isInGreenComplex(point.x)) {
+        // Draw small grass lines only on regular terrain
+        for (let j = 0; j < 3; j++) {
+          const grassX = point.x + (Math.random() - 0.5) * 40;
+          const grassY = point.y;
+          const grassHeight = Math.random() * 8 + 2;
+          
+          this.terrainGraphics.lineBetween(
+            grassX, grassY,
+            grassX + (Math.random() - 0.5) * 2, grassY - grassHeight
+          );
+        }
+      }
+    }
+  }
+
+  // Get terrain height at a specific x coordinate
+  getHeightAtX(x) {
+    // Clamp x to terrain bounds
+    x = Math.max(0, Math.min(x, this.width));
+    
+    // Find the closest terrain points
+    const segmentWidth = this.width / this.segments;
+    const index = Math.floor(x / segmentWidth);
+    
+    // Handle edge cases
+    if (index >= this.heightMap.length - 1) {
+      return this.heightMap[this.heightMap.length - 1].y;
+    }
+    if (index < 0) {
+      return this.heightMap[0].y;
+    }
+    
+    // Interpolate between two points for smooth height
+    const point1 = this.heightMap[index];
+    const point2 = this.heightMap[index + 1];
+    
+    const localX = x - point1.x;
+    const segmentLength = point2.x - point1.x;
+    const ratio = segmentLength > 0 ? localX / segmentLength : 0;
+    
+    return point1.y + (point2.y - point1.y) * ratio;
+  }
+
+  // Get terrain slope at a specific x coordinate (for ball physics)
+  getSlopeAtX(x) {
+    // Flat greens always have zero slope for stability
+    if (this.isInGreenArea(x) && this.greenContour.length === 0) {
+      return 0;
+    }
+    
+    const segmentWidth = this.width / this.segments;
+    const index = Math.floor(x / segmentWidth);
+    
+    // Handle edge cases
+    if (index >= this.heightMap.length - 1 || index < 0) {
+      return 0;
+    }
+    
+    return this.slopes[index];
+  }
+
+  // Slope of the height map segment starting at index (see buildLookups)
+  getSegmentSlope(index) {
+    const point1 = this.heightMap[index];
+    const point2 = this.heightMap[index + 1];
+    
+    // Calculate slope as rise over run
+    const rise = point2.y - point1.y;
+    const run = point2.x - point1.x;
+    
+    // For very steep slopes (like the elevated green approach), use a larger sample
+    if (Math.abs(rise) > 20 && run > 0) {
+      // Look ahead further for steep terrain
+      const lookAhead = Math.min(5, this.heightMap.length - index - 1);
+      if (lookAhead > 1) {
+        const farPoint = this.heightMap[index + lookAhead];
+        const farRise = farPoint.y - point1.y;
+        const farRun = farPoint.x - point1.x;
+        return farRun !== 0 ? farRise / farRun : rise / run;
+      }
+    }
+    
+    return run !== 0 ? rise / run : 0;
+  }
+
+  // Height of the ground under a point - the highest structure top not above it, or the terrain
+  getGroundHeightAt(x, y) {
+    const terrainHeight = this.getHeightAtX(x);
+    const ground = this.getStructureGroundAt(x, y);
+    return ground && ground.y < terrainHeight ? ground.y : terrainHeight;
+  }
+
+  // Slope of the ground under a point (see getGroundHeightAt)
+  getGroundSlopeAt(x, y) {
+    const ground = this.getStructureGroundAt(x, y);
+    return ground && ground.y < this.getHeightAtX(x) ? ground.slope : this.getSlopeAtX(x);
+  }
+
+  // Get terrain normal vector at x (for physics calculations)
+  getNormalAtX(x) {
+    const slope = this.getSlopeAtX(x);
+    
+    // Convert slope to normal vector
+    const length = Math.sqrt(1 + slope * slope);
+    return {
+      x: -slope / length,
+      y: -1 / length
+    };
+  }
+
+  // Check if a point is below the terrain (for collision detection)
+  isPointBelowTerrain(x, y) {
+    const terrainHeight = this.getHeightAtX(x);
+    return y > terrainHeight;
+  }
+
+  // Get the distance from a point to the terrain surface
+  getDistanceToTerrain(x, y) {
+    const terrainHeight = this.getHeightAtX(x);
+    return y - terrainHeight;
+  }
+
+  // Get the surface lie (tee, fairway, rough...) at x
+  getSurfaceAtX(x) {
+    return findIndexedSurface(this.surfaceIndex, x);
+  }
+
+  // Get the surface lie under a point - a structure's own lie when it's standing on one
+  getSurfaceAt(x, y) {
+    const ground = this.getStructureGroundAt(x, y);
+    if (ground && ground.y < this.getHeightAtX(x)) {
+      return ground.structure.getSurface();
+    }
+    return this.getSurfaceAtX(x);
+  }
+
+  // Check if ball is on the green (for special physics/scoring)
+  isBallOnGreen(x) {
+    return this.isInGreenArea(x);
+  }
+
+  // Get green boundaries for UI/scoring purposes
+  getGreenBounds() {
+    return {
+      startX: this.greenStartX,
+      endX: this.greenEndX,
+      centerX: (this.greenStartX + this.greenEndX) / 2,
+      width: this.greenWidth
+    };
+  }
+
+  // Distance from a point to the pin in yards
+  getDistanceToPin(x, y) {
+    const distance = Math.sqrt(
+      Math.pow(x - this.pinX, 2) + Math.pow(y - this.pinY, 2)
+    );
+    return Math.round(distance / 20); // Convert pixels to yards (20 pixels = 1 yard)
+  }
+
+  // Show the baked ground near the camera (call every frame)
+  update(camera) {
+    this.chunks.update(camera);
+  }
+
+  // Destroy terrain graphics
+  destroy() {
+    [this.terrainGraphics, this.greenGraphics, this.surfaceGraphics].forEach(graphics => {
+      if (graphics) {
+        graphics.destroy();
+      }
+    });
+    this.destroyWaterHazards();
+    this.destroyBunkers();
+    this.destroyStructures();
+    this.destroyObstacles();
+    this.chunks.destroy();
+  }
+}
+
+// Water hazards, bunkers, structures and obstacles
+Object.assign(BaseTerrain.prototype, WaterHazardMixin, BunkerMixin, StructureMixin, ObstacleMixin);
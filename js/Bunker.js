@@ -1,6 +1,10 @@
 /**
  * Bunker - Reusable sand trap/bunker system for golf holes
  * Can be positioned anywhere on the course with customizable width and depth
+ *
+ * Given groundPoints (the terrain's height map points under it) the sand follows
+ * the ground, catching the ball wherever it touches that ground, and its level is
+ * the ground height in the middle. Otherwise it's drawn as a flat trap at level.
  */
 export class Bunker {
   constructor(scene, options = {}) {
@@ -10,7 +14,8 @@ export class Bunker {
     this.startX = options.startX || 1000;
     this.width = options.width || 800; // Default 40 yards (800 pixels)
     this.endX = this.startX + this.width;
-    this.level = options.level || 500; // Default bunker level
+    this.groundPoints = options.groundPoints || null; // Terrain points to follow ({ x, y })
+    this.level = options.level || this.getGroundLevel() || 500; // Default bunker level
     this.baseHeight = options.baseHeight || 600;
     this.depth = options.depth || 30; // How deep the bunker is below terrain
     
@@ -38,9 +43,20 @@ export class Bunker {
     console.log('- Depth:', this.depth, 'pixels');
   }
   
+  // Ground height in the middle of the bunker, or null without ground points
+  getGroundLevel() {
+    if (!this.groundPoints || this.groundPoints.length === 0) return null;
+    return this.groundPoints[Math.floor(this.groundPoints.length / 2)].y;
+  }
+  
   createBunkerGraphics() {
     console.log('Creating bunker graphics...');
     
+    if (this.groundPoints && this.groundPoints.length > 0) {
+      this.createGroundBunkerGraphics();
+      return;
+    }
+    
     // Create bunker graphics with higher depth to appear on top
     this.bunkerGraphics = this.scene.add.graphics();
     this.bunkerGraphics.setDepth(10); // Ensure bunker appears above terrain
@@ -76,6 +92,40 @@ export class Bunker {
     this.addSandTexture();
   }
   
+  createGroundBunkerGraphics() {
+    // Sand lying in the terrain, drawn with the green and other ground overlays
+    const points = this.groundPoints;
+    this.bunkerGraphics = this.scene.add.graphics();
+    this.bunkerGraphics.setDepth(2);
+    this.bunkerGraphics.fillStyle(this.sandColor);
+    
+    // Fill from the ground surface down to the bottom of the screen
+    this.bunkerGraphics.beginPath();
+    this.bunkerGraphics.moveTo(points[0].x, 768);
+    points.forEach(point => this.bunkerGraphics.lineTo(point.x, point.y));
+    this.bunkerGraphics.lineTo(points[points.length - 1].x, 768);
+    this.bunkerGraphics.closePath();
+    this.bunkerGraphics.fillPath();
+    
+    // Sand grain lines along the surface
+    this.bunkerGraphics.lineStyle(1, this.darkSandColor, 0.4);
+    points.forEach((point, index) => {
+      const next = points[index + 1];
+      if (next) {
+        this.bunkerGraphics.lineBetween(point.x, point.y, next.x, next.y);
+      }
+    });
+    
+    // Sand ripples just below the surface
+    this.bunkerGraphics.lineStyle(1, 0xE6D3A3, 0.3);
+    points.forEach((point, index) => {
+      const next = points[index + 1];
+      if (!next || index % 2 !== 0) return;
+      const rippleOffset = Math.sin(point.x * 0.01) * 2;
+      this.bunkerGraphics.lineBetween(point.x + rippleOffset, point.y + 5, next.x + rippleOffset, next.y + 6);
+    });
+  }
+  
   addSandTexture() {
     // Add sand texture/dots for visual appeal
     this.bunkerGraphics.fillStyle(0xF4E4BC, 0.4); // Light sand color with transparency
@@ -105,11 +155,26 @@ export class Bunker {
     }
   }
   
+  // Surface height at x - the ground under the bunker when it follows the terrain, otherwise level
+  getSurfaceYAtX(x) {
+    const points = this.groundPoints;
+    if (!points || points.length === 0) return this.level;
+    if (x <= points[0].x) return points[0].y;
+    
+    for (let i = 1; i < points.length; i++) {
+      if (x <= points[i].x) {
+        const ratio = (x - points[i - 1].x) / (points[i].x - points[i - 1].x);
+        return points[i - 1].y + (points[i].y - points[i - 1].y) * ratio;
+      }
+    }
+    return points[points.length - 1].y;
+  }
+  
   // Check if ball is in this bunker
   isBallInBunker(ballX, ballY) {
     return ballX >= this.startX && 
            ballX <= this.endX && 
-           ballY >= this.level - 20; // Trigger collision slightly above bunker surface
+           ballY >= this.getSurfaceYAtX(ballX) - 20; // Trigger collision slightly above bunker surface
   }
   
   // Get bunker boundaries for terrain height calculations
@@ -142,10 +207,12 @@ export const BunkerMixin = {
   },
   
   // Add a bunker with custom positioning and width
+  // On a terrain with a height map the sand follows the ground unless a level is given
   addBunker(options = {}) {
     if (!this.bunkers) {
       this.initBunkers();
     }
+    options = { ...options };
     
     // Set default position relative to green if not specified
     if (!options.startX && this.greenEndX) {
@@ -153,8 +220,14 @@ export const BunkerMixin = {
       options.startX = this.greenEndX + 50; // Position after green
     }
     
+    // Fill the ground under the bunker
+    if (!options.level && !options.groundPoints && this.heightMap) {
+      const endX = options.startX + (options.width || 800);
+      options.groundPoints = this.heightMap.filter(point => point.x >= options.startX && point.x <= endX);
+    }
+    
     // Set default level relative to base height
-    if (!options.level && this.baseHeight) {
+    if (!options.level && !options.groundPoints && this.baseHeight) {
       options.level = this.baseHeight - 50; // 50 pixels above base terrain
     }
     
@@ -171,6 +244,13 @@ export const BunkerMixin = {
     return this.bunkers.some(bunker => bunker.isBallInBunker(ballX, ballY));
   },
   
+  // Get the bunker at x, or null
+  getBunkerAtX(x) {
+    if (!this.bunkers) return null;
+    
+    return this.bunkers.find(bunker => x >= bunker.startX && x <= bunker.endX) || null;
+  },
+  
   // Get height adjustment for bunkers (makes ball sink slightly)
   getBunkerHeightAdjustment(x) {
     if (!this.bunkers) return 0;
@@ -191,42 +271,21 @@ export const BunkerMixin = {
     }
   },
 
-  // Compatibility methods for golf ball repositioning
-  // Get the first bunker's start position (for ball drop positioning)
-  get bunkerStartX() {
-    if (!this.bunkers || this.bunkers.length === 0) return null;
-    return this.bunkers[0].startX;
-  },
-
-  // Get the first bunker's end position
-  get bunkerEndX() {
-    if (!this.bunkers || this.bunkers.length === 0) return null;
-    return this.bunkers[0].endX;
-  },
-
-  // Get the first bunker's level
-  get bunkerLevel() {
-    if (!this.bunkers || this.bunkers.length === 0) return null;
-    return this.bunkers[0].level;
-  },
-
   // Find appropriate drop position for ball after bunker penalty
   findBunkerDropPosition(ballX, ballY, approachDirection = 'right') {
     if (!this.bunkers || this.bunkers.length === 0) {
       // Fallback to original position if no bunkers
-      return { x: 200, y: this.getTerrainHeightAtX ? this.getTerrainHeightAtX(200) - 15 : 600 };
+      return { x: 200, y: this.getHeightAtX ? this.getHeightAtX(200) - 15 : 600 };
     }
 
     // Find which bunker the ball is in
-    const bunker = this.bunkers.find(b => 
-      ballX >= b.startX && ballX <= b.endX
-    );
+    const bunker = this.getBunkerAtX(ballX);
 
     if (!bunker) {
       // Ball not in any bunker, use first bunker as reference
       const firstBunker = this.bunkers[0];
       const dropX = firstBunker.startX - 250; // 12.5 yards before bunker
-      const dropY = this.getTerrainHeightAtX ? this.getTerrainHeightAtX(dropX) - 15 : 600;
+      const dropY = this.getHeightAtX ? this.getHeightAtX(dropX) - 15 : 600;
       return { x: Math.max(200, dropX), y: dropY }; // Don't go behind tee
     }
 
@@ -249,7 +308,7 @@ export const BunkerMixin = {
       dropX = Math.min(this.greenStartX - 100, dropX); // Don't go past green
     }
 
-    const dropY = this.getTerrainHeightAtX ? this.getTerrainHeightAtX(dropX) - 15 : 600;
+    const dropY = this.getHeightAtX ? this.getHeightAtX(dropX) - 15 : 600;
     
     console.log('Bunker drop position calculated:', {
       ballX, ballY, 
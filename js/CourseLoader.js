@@ -0,0 +1,180 @@
+/**
+ * CourseLoader - Reads JSON course files and builds hole terrain from them
+ *
+ * A course file lists holes in play order. Every position is in pixels
+ * (20 pixels per yard), matching the values the terrain classes use.
+ */
+import { Terrain } from './terrain.js';
+import { Hole2Terrain } from './Hole2Terrain.js';
+import { Hole3Terrain } from './Hole3Terrain.js';
+import { ProfileTerrain } from './ProfileTerrain.js';
+import { SURFACE_TYPES, DEFAULT_STIMP, createDefaultSurfaces } from './surfaces.js';
+import { STRUCTURE_STYLES } from './Structure.js';
+import { OBSTACLE_TYPES } from './Obstacle.js';
+
+// Course files offered on the title screen (the first one is the default)
+export const COURSES = [
+  { key: 'course', url: 'assets/courses/default.json' },
+  { key: 'championship', url: 'assets/courses/championship.json' }
+];
+
+export const DEFAULT_COURSE = COURSES[0];
+
+// Terrain shapes a hole definition can ask for via terrain.type
+export const TERRAIN_TYPES = {
+  rolling: Terrain,        // Sine-wave hills with a heavily smoothed fairway
+  elevatedTee: Hole2Terrain, // Flat raised tee dropping down to the green
+  gentle: Hole3Terrain,    // Small rolling hills with a lightly raised green
+  profile: ProfileTerrain  // Drawn profile from a heightmap image or SVG path (see heightSources.js)
+};
+
+// Enemies a hole definition can place via enemies[].type
+export const ENEMY_TYPES = ['frank'];
+
+const DEFAULT_PIXELS_PER_YARD = 20;
+
+// Normalize a parsed course file, filling in defaults for optional fields
+export function parseCourse(data) {
+  if (!data || !Array.isArray(data.holes) || data.holes.length === 0) {
+    throw new Error('Course file must contain a non-empty "holes" array');
+  }
+
+  const pixelsPerYard = data.pixelsPerYard || DEFAULT_PIXELS_PER_YARD;
+
+  return {
+    id: data.id || 'course',
+    name: data.name || 'Golf Course',
+    pixelsPerYard: pixelsPerYard,
+    holes: data.holes.map((hole, index) => parseHole(hole, index + 1, pixelsPerYard))
+  };
+}
+
+// Normalize a single hole definition
+export function parseHole(hole, number, pixelsPerYard = DEFAULT_PIXELS_PER_YARD) {
+  if (!hole.width || !hole.green || hole.green.startX === undefined || !hole.green.width) {
+    throw new Error(`Hole ${number} needs a width and a green with startX and width`);
+  }
+
+  const terrainType = (hole.terrain && hole.terrain.type) || 'rolling';
+  if (!TERRAIN_TYPES[terrainType]) {
+    throw new Error(`Hole ${number} uses unknown terrain type "${terrainType}"`);
+  }
+  if (terrainType === 'profile' && !hole.terrain.image && !hole.terrain.path) {
+    throw new Error(`Hole ${number} profile terrain needs an image or a path`);
+  }
+
+  const green = {
+    startX: hole.green.startX,
+    width: hole.green.width,
+    height: hole.green.height !== undefined ? hole.green.height : 20,
+    slopeWidth: hole.green.slopeWidth !== undefined ? hole.green.slopeWidth : 200,
+    contour: (hole.green.contour || []).slice(), // Heights across the green (empty = flat)
+    stimp: hole.green.stimp || DEFAULT_STIMP // Green speed
+  };
+  if (green.contour.some(height => typeof height !== 'number') || green.stimp <= 0) {
+    throw new Error(`Hole ${number} green needs a numeric contour and a positive stimp`);
+  }
+
+  const tee = {
+    x: 200,
+    playerX: 100,
+    ...(hole.tee || {})
+  };
+
+  const pin = {
+    x: hole.pin && hole.pin.x !== undefined ? hole.pin.x : green.startX + (green.width / 2)
+  };
+
+  // Out-of-bounds stakes - behind the tee and short of the end of the world
+  const outOfBounds = {
+    left: Math.max(0, tee.x - 150),
+    right: hole.width - 200,
+    ...(hole.outOfBounds || {})
+  };
+  if (outOfBounds.left >= outOfBounds.right) {
+    throw new Error(`Hole ${number} out-of-bounds stakes must have left before right`);
+  }
+
+  const enemies = (hole.enemies || []).map(enemy => {
+    if (!ENEMY_TYPES.includes(enemy.type)) {
+      throw new Error(`Hole ${number} uses unknown enemy type "${enemy.type}"`);
+    }
+    return { ...enemy };
+  });
+
+  // Polygons standing on the ground ({ points: [[x, y], ...], style, surface })
+  const structures = (hole.structures || []).map(structure => {
+    const points = structure.points || [];
+    if (points.length < 3 || points.some(point => !Array.isArray(point) || point.length !== 2 ||
+        point.some(value => typeof value !== 'number'))) {
+      throw new Error(`Hole ${number} structures need at least 3 [x, y] points`);
+    }
+    if (structure.style && !STRUCTURE_STYLES[structure.style]) {
+      throw new Error(`Hole ${number} uses unknown structure style "${structure.style}"`);
+    }
+    if (structure.surface && !SURFACE_TYPES[structure.surface]) {
+      throw new Error(`Hole ${number} uses unknown surface type "${structure.surface}"`);
+    }
+    return { ...structure, points: points.map(point => point.slice()) };
+  });
+
+  // Trees, shrubs, fences and rocks standing on the ground ({ type, x, scale, width, height, y })
+  const obstacles = (hole.obstacles || []).map(obstacle => {
+    if (!OBSTACLE_TYPES[obstacle.type]) {
+      throw new Error(`Hole ${number} uses unknown obstacle type "${obstacle.type}"`);
+    }
+    if (typeof obstacle.x !== 'number') {
+      throw new Error(`Hole ${number} obstacles need an x position`);
+    }
+    return { ...obstacle };
+  });
+
+  const definition = {
+    number: number,
+    width: hole.width,
+    segments: hole.segments || Math.round(hole.width / 20),
+    baseHeight: hole.baseHeight || 600,
+    terrain: { waves: [], ...(hole.terrain || {}), type: terrainType },
+    tee: tee,
+    green: green,
+    pin: pin,
+    outOfBounds: outOfBounds,
+    water: (hole.water || []).map(water => ({ ...water })),
+    bunkers: (hole.bunkers || []).map(bunker => ({ ...bunker })),
+    structures: structures,
+    obstacles: obstacles,
+    enemies: enemies,
+    world: { top: -1000, height: 2500, ...(hole.world || {}) },
+    camera: { height: 1000, ...(hole.camera || {}) },
+    scenery: { trees: true, ...(hole.scenery || {}) },
+    music: hole.music !== undefined ? hole.music : 'background', // Audio key, or null for no music
+    scene: hole.scene || null, // Scene key for a custom hole, otherwise the shared HoleScene
+    startingBalls: hole.startingBalls || 0
+  };
+
+  // Surface lies along the hole, with bunkers taking priority over whatever they sit in
+  const surfaces = (hole.surfaces || createDefaultSurfaces(definition)).map(surface => {
+    if (!SURFACE_TYPES[surface.type]) {
+      throw new Error(`Hole ${number} uses unknown surface type "${surface.type}"`);
+    }
+    return { ...surface };
+  });
+  const bunkerSurfaces = definition.bunkers.map(bunker => ({
+    type: 'bunker',
+    startX: bunker.startX,
+    endX: bunker.startX + bunker.width
+  }));
+  definition.surfaces = [...bunkerSurfaces, ...surfaces];
+
+  // Yardage comes from the file, or from the tee-to-pin distance when omitted
+  definition.yardage = hole.yardage || Math.round((pin.x - tee.x) / pixelsPerYard);
+  definition.par = hole.par || null;
+
+  return definition;
+}
+
+// Build the terrain for a hole definition inside a scene
+export function createTerrain(scene, hole) {
+  const TerrainClass = TERRAIN_TYPES[hole.terrain.type];
+  return new TerrainClass(scene, hole);
+}
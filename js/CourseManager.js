@@ -1,27 +1,190 @@
 /**
- * CourseManager - Manages progression through 3-hole golf course
+ * CourseManager - Manages progression through the holes of a loaded course
  */
+import { parseCourse } from './CourseLoader.js';
+import { createSeed, normalizeSeed } from './random.js';
+import { generateCourse } from './HoleGenerator.js';
+
+// Scene that plays every hole unless a hole definition names its own
+export const DEFAULT_HOLE_SCENE = 'HoleScene';
+
+// Holes in a nine (front nine is 1-9, back nine is 10-18)
+const HOLES_PER_NINE = 9;
+
 export class CourseManager {
   constructor() {
     this.currentHole = 1;
-    this.totalHoles = 3;
-    this.scores = new Array(this.totalHoles).fill(0); // Store scores for each hole
+    this.course = null; // Parsed course file (see CourseLoader)
+    this.holes = []; // Hole definitions in play order
+    this.totalHoles = 0;
+    
+    // Holes being played this round ('full', 'front' or 'back')
+    this.roundType = 'full';
+    this.firstHole = 1;
+    this.lastHole = 0;
+    
+    this.scores = []; // Store scores for each hole
+    this.penalties = []; // Penalty strokes included in each hole's score
     this.totalScore = 0;
+    this.playerState = null; // Ball inventory and health carried between holes
+    this.seed = 0; // Random seed for the round (same seed replays the same shots, wind and drops)
+    
+    // Yardage and par for each hole (filled in from the course file)
+    this.yardages = [];
+    this.par = [];
+  }
+
+  // Load a course file (raw JSON data) and reset progress
+  loadCourse(courseData) {
+    this.course = parseCourse(courseData);
+    this.holes = this.course.holes;
+    this.totalHoles = this.holes.length;
     
-    // Yardage for each hole (you can customize these)
-    this.yardages = [
-      580, // Hole 1 - Par 5 (>500 yards) - matches actual terrain layout (11600px ÷ 20px/yard = 580y)
-      175, // Hole 2 - Par 3 - custom shorter hole with pin at 175 yards
-      300  // Hole 3 - Par 4 - basic terrain with green near the end
-    ];
+    // Yardage comes from each hole definition
+    this.yardages = this.holes.map(hole => hole.yardage);
+    
+    // Use par from the file when given, otherwise calculate it from yardage
+    this.par = this.holes.map(hole => hole.par || this.calculateParFromYardage(hole.yardage));
+    
+    console.log(`Loaded course "${this.course.name}" with ${this.totalHoles} holes`);
+    
+    this.startRound('full');
+  }
+
+  // Generate an 18-hole course from a seed (a new one each time without a seed) and load it
+  loadRandomCourse(seed = createSeed()) {
+    this.loadCourse(generateCourse(seed));
+  }
+
+  // Start a new round over the full course or one of its nines
+  // (pass a seed to replay a round exactly, e.g. from a bug report or daily challenge)
+  startRound(roundType = 'full', seed = createSeed()) {
+    const range = this.getRoundRange(roundType);
+    if (!range) {
+      console.error(`Cannot play "${roundType}" on a ${this.totalHoles}-hole course`);
+      return false;
+    }
     
-    // Calculate par based on yardage
-    this.par = this.yardages.map(yardage => this.calculateParFromYardage(yardage));
+    this.roundType = roundType;
+    this.firstHole = range.firstHole;
+    this.lastHole = range.lastHole;
+    this.currentHole = this.firstHole;
+    this.scores = new Array(this.totalHoles).fill(0);
+    this.penalties = new Array(this.totalHoles).fill(0);
+    this.totalScore = 0;
+    this.playerState = null;
+    this.seed = normalizeSeed(seed);
+    console.log(`Starting ${roundType} round: Holes ${this.firstHole}-${this.lastHole} (seed ${this.seed})`);
+    return true;
+  }
+
+  // Get the round in progress as plain data (for saving)
+  getRoundState() {
+    return {
+      courseId: this.course.id,
+      roundType: this.roundType,
+      seed: this.seed,
+      currentHole: this.currentHole,
+      scores: [...this.scores],
+      penalties: [...this.penalties],
+      player: this.playerState ? { ...this.playerState } : null
+    };
+  }
+
+  // Restore a saved round on the loaded course
+  restoreRoundState(state) {
+    if (!this.course || state.courseId !== this.course.id) {
+      console.error(`Saved round is for course "${state.courseId}", not the loaded course`);
+      return false;
+    }
+    if (!this.startRound(state.roundType, state.seed)) {
+      return false;
+    }
+    
+    // Copy scores for holes that still exist on the course
+    state.scores.slice(0, this.totalHoles).forEach((score, index) => {
+      this.scores[index] = score || 0;
+    });
+    (state.penalties || []).slice(0, this.totalHoles).forEach((penalties, index) => {
+      this.penalties[index] = penalties || 0;
+    });
+    this.calculateTotalScore();
+    this.playerState = state.player ? { ...state.player } : null;
+    
+    // Resume on the saved hole, or the one after it if it was already finished
+    this.currentHole = Math.min(Math.max(state.currentHole, this.firstHole), this.lastHole);
+    if (this.scores[this.currentHole - 1] > 0 && this.currentHole < this.lastHole) {
+      this.currentHole++;
+    }
+    
+    console.log(`Restored ${this.roundType} round on Hole ${this.currentHole}`);
+    return true;
+  }
+
+  // Get the random seed for the current round
+  getSeed() {
+    return this.seed;
+  }
+
+  // Store the player's ball inventory and health to carry into the next hole
+  setPlayerState(playerState) {
+    this.playerState = playerState;
+  }
+
+  // Get the player's ball inventory and health carried from the previous hole
+  getPlayerState() {
+    return this.playerState;
+  }
+
+  // Get the first and last hole for a round type, or null if the course is too short
+  getRoundRange(roundType) {
+    switch (roundType) {
+      case 'full':
+        return { firstHole: 1, lastHole: this.totalHoles };
+      case 'front':
+        return { firstHole: 1, lastHole: Math.min(HOLES_PER_NINE, this.totalHoles) };
+      case 'back':
+        if (!this.hasBackNine()) return null;
+        return { firstHole: HOLES_PER_NINE + 1, lastHole: Math.min(HOLES_PER_NINE * 2, this.totalHoles) };
+      default:
+        return null;
+    }
+  }
+
+  // Check if the course is long enough to have a back nine
+  hasBackNine() {
+    return this.totalHoles > HOLES_PER_NINE;
+  }
+
+  // Get which nine a hole belongs to
+  getNineForHole(holeNumber) {
+    return holeNumber <= HOLES_PER_NINE ? 'front' : 'back';
+  }
+
+  // Get number of holes in the current round
+  getRoundHoleCount() {
+    return this.lastHole - this.firstHole + 1;
+  }
+
+  // Check if a course file has been loaded
+  isCourseLoaded() {
+    return this.course !== null;
+  }
+
+  // Get the definition for a specific hole
+  getHoleDefinition(holeNumber) {
+    return this.holes[holeNumber - 1] || null;
+  }
+
+  // Get the definition for the current hole
+  getCurrentHoleDefinition() {
+    return this.getHoleDefinition(this.currentHole);
   }
   
   // Calculate par based on yardage
   calculateParFromYardage(yardage) {
-    if (yardage > 500) return 5;      // Par 5: > 500 yards
+    if (yardage > 690) return 6;      // Par 6: > 690 yards
+    if (yardage > 500) return 5;      // Par 5: 501-690 yards
     if (yardage >= 230) return 4;     // Par 4: 230-500 yards
     return 3;                         // Par 3: < 230 yards
   }
@@ -56,10 +219,11 @@ export class CourseManager {
     return this.yardages[holeNumber - 1] || 400; // Default to 400 yards
   }
 
-  // Record score for current hole
-  recordScore(strokes) {
-    console.log(`Recording score for Hole ${this.currentHole}: ${strokes} strokes (Par ${this.getCurrentPar()})`);
+  // Record score for current hole (penalties is how many of the strokes were penalty strokes)
+  recordScore(strokes, penalties = 0) {
+    console.log(`Recording score for Hole ${this.currentHole}: ${strokes} strokes, ${penalties} penalties (Par ${this.getCurrentPar()})`);
     this.scores[this.currentHole - 1] = strokes;
+    this.penalties[this.currentHole - 1] = penalties;
     this.calculateTotalScore();
     console.log(`Hole ${this.currentHole} completed in ${strokes} strokes (Par ${this.getCurrentPar()})`);
     console.log(`Current scores array:`, this.scores);
@@ -75,6 +239,11 @@ export class CourseManager {
     return this.scores[holeNumber - 1] || 0;
   }
 
+  // Get penalty strokes for specific hole
+  getPenaltiesForHole(holeNumber) {
+    return this.penalties[holeNumber - 1] || 0;
+  }
+
   // Get total score
   getTotalScore() {
     return this.totalScore;
@@ -101,12 +270,17 @@ export class CourseManager {
 
   // Check if course is complete
   isCourseComplete() {
-    return this.currentHole > this.totalHoles;
+    return this.currentHole > this.lastHole;
   }
 
-  // Advance to next hole
+  // Check if the current hole is the last one of the round
+  isLastHole() {
+    return this.currentHole >= this.lastHole;
+  }
+
+  // Advance to next hole in the round
   nextHole() {
-    if (this.currentHole < this.totalHoles) {
+    if (this.currentHole < this.lastHole) {
       this.currentHole++;
       console.log(`Advancing to Hole ${this.currentHole}`);
       return true;
@@ -116,12 +290,13 @@ export class CourseManager {
 
   // Get scene name for current hole
   getCurrentSceneName() {
-    return `Hole${this.currentHole}Scene`;
+    return this.getSceneNameForHole(this.currentHole);
   }
 
-  // Get scene name for specific hole
+  // Get scene name for specific hole (custom scene from the definition, or HoleScene)
   getSceneNameForHole(holeNumber) {
-    return `Hole${holeNumber}Scene`;
+    const hole = this.getHoleDefinition(holeNumber);
+    return (hole && hole.scene) || DEFAULT_HOLE_SCENE;
   }
 
   // Go to specific hole (for debugging/testing)
@@ -136,32 +311,52 @@ export class CourseManager {
     }
   }
 
-  // Reset course (for new game)
+  // Reset course (for new game, replaying the same holes)
   reset() {
-    this.currentHole = 1;
+    this.currentHole = this.firstHole;
     this.scores = new Array(this.totalHoles).fill(0);
+    this.penalties = new Array(this.totalHoles).fill(0);
     this.totalScore = 0;
+    this.playerState = null; // New round starts with a full bag and full health
     console.log('Course reset for new game');
   }
 
-  // Get scorecard summary
+  // Get scorecard summary for the holes in the current round
   getScorecard() {
     const scorecard = [];
-    for (let i = 0; i < this.totalHoles; i++) {
+    for (let i = this.firstHole - 1; i < this.lastHole; i++) {
       scorecard.push({
         hole: i + 1,
         par: this.par[i],
+        yardage: this.yardages[i],
         score: this.scores[i] || 0,
-        completed: this.scores[i] > 0
+        penalties: this.penalties[i] || 0,
+        completed: this.scores[i] > 0,
+        nine: this.getNineForHole(i + 1)
       });
     }
     return scorecard;
   }
 
+  // Get par and strokes totals for part of a scorecard (completed holes count towards to-par)
+  getScorecardTotals(scorecard) {
+    return scorecard.reduce((totals, entry) => {
+      totals.par += entry.par;
+      totals.yardage += entry.yardage;
+      if (entry.completed) {
+        totals.score += entry.score;
+        totals.penalties += entry.penalties;
+        totals.scoreToPar += entry.score - entry.par;
+      }
+      return totals;
+    }, { par: 0, yardage: 0, score: 0, penalties: 0, scoreToPar: 0 });
+  }
+
   // Reset course to Hole 1 (for game restart)
   resetToHole1() {
     this.currentHole = 1;
     this.scores = new Array(this.totalHoles).fill(0);
+    this.penalties = new Array(this.totalHoles).fill(0);
     this.totalScore = 0;
     console.log('Course reset to Hole 1');
   }
@@ -0,0 +1,88 @@
+/**
+ * Cup - The hole on the green and the flagstick standing in it
+ *
+ * A ball only drops when it reaches the cup slowly enough. A bit too fast
+ * and it catches the lip and spins out, faster still and it hops straight
+ * over. A ball flying into the flagstick bounces back off it. GolfBall asks
+ * the cup about the ball every physics step and reacts to what it reports.
+ */
+
+export const CUP_RESULTS = {
+  HOLED: 'holed',
+  LIP_OUT: 'lipOut',
+  HOPPED: 'hopped',
+  FLAGSTICK: 'flagstick'
+};
+
+export class Cup {
+  constructor(x, y) {
+    this.x = x; // Centre of the cup
+    this.y = y; // Green surface at the cup
+    this.radius = 18; // Ball drops when its centre is within this far of the cup's centre
+    this.contactHeight = 6; // Ball bottom within this far above the green counts as at the cup
+    this.captureSpeed = 150; // Fastest (horizontal px/s) a ball can arrive and still drop
+    this.lipOutSpeed = 260; // Up to this fast the ball catches the lip, faster and it hops over
+    this.hangingSpeed = 20; // A ball that lips out but dies over the hole still falls in
+    this.flagstickHeight = 70; // Height of the stick above the green (matches the flag sprite)
+    this.flagstickWidth = 4;
+    this.flagstickBounce = 0.3; // Share of horizontal speed the ball keeps off the stick
+    this.reset();
+  }
+
+  // Forget the last pass (e.g. when the ball is hit again)
+  reset() {
+    this.ballAtCup = false; // Ball is already over the cup, so it only gets one result per pass
+    this.ballAtFlagstick = false;
+  }
+
+  // Check the ball against the cup and flagstick this step
+  // Returns null, or { type, velocity } with the velocity the ball should leave with
+  checkBall(ballX, ballY, ballRadius, velocity) {
+    const ballBottom = ballY + ballRadius;
+    const offset = Math.abs(ballX - this.x);
+    const touchingGreen = ballBottom >= this.y - this.contactHeight;
+
+    // Ball rolling or landing over the cup
+    const atCup = offset <= this.radius && touchingGreen;
+    if (atCup && !this.ballAtCup) {
+      this.ballAtCup = true;
+      return this.getCupResult(velocity);
+    }
+    if (atCup && Math.abs(velocity.x) <= this.hangingSpeed) {
+      return { type: CUP_RESULTS.HOLED, velocity: { x: 0, y: 0 } };
+    }
+    this.ballAtCup = atCup;
+
+    // Ball in the air hitting the stick
+    const atFlagstick = !touchingGreen &&
+      offset <= ballRadius + this.flagstickWidth / 2 &&
+      ballBottom >= this.y - this.flagstickHeight;
+    if (atFlagstick && !this.ballAtFlagstick) {
+      this.ballAtFlagstick = true;
+      return {
+        type: CUP_RESULTS.FLAGSTICK,
+        velocity: { x: -velocity.x * this.flagstickBounce, y: Math.max(velocity.y, 0) }
+      };
+    }
+    this.ballAtFlagstick = atFlagstick;
+
+    return null;
+  }
+
+  // What happens to a ball arriving at the cup at this velocity
+  getCupResult(velocity) {
+    const speed = Math.abs(velocity.x);
+
+    if (speed <= this.captureSpeed) {
+      return { type: CUP_RESULTS.HOLED, velocity: { x: 0, y: 0 } };
+    }
+
+    if (speed <= this.lipOutSpeed) {
+      // Catches the back edge, spins round the rim and pops out with most of its pace gone
+      return { type: CUP_RESULTS.LIP_OUT, velocity: { x: velocity.x * 0.35, y: -60 } };
+    }
+
+    // Too quick to drop - skips over the hole
+    return { type: CUP_RESULTS.HOPPED, velocity: { x: velocity.x * 0.9, y: -90 } };
+  }
+}
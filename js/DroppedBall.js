@@ -112,7 +112,7 @@ export class DroppedBall {
     
     // Apply terrain physics similar to main golf ball
     const ballBottom = this.sprite.y + 8; // 8 is the radius
-    const terrainHeight = terrain.getHeightAtX(this.sprite.x);
+    const terrainHeight = terrain.getGroundHeightAt(this.sprite.x, ballBottom);
     
     // If ball is below terrain, bounce it up
     if (ballBottom > terrainHeight) {
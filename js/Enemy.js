@@ -1,6 +1,8 @@
 /**
  * Enemy class for managing boss/enemy sprite, animations, and behavior
  */
+import { SeededRandom } from './random.js';
+
 export class Enemy {
   constructor(scene, x = 3000, y = 400) {
     this.scene = scene;
@@ -30,6 +32,7 @@ export class Enemy {
     this.fireballSound = null; // Will be set by scene
     this.bossfightSound = null; // Will be set by scene
     this.hurtSound = null; // Will be set by scene
+    this.random = new SeededRandom(); // Will be set by scene (seeded source for hit variation)
     
     // Create enemy sprite
     this.sprite = scene.add.sprite(x, y, "enemy1_standing");
@@ -103,6 +106,10 @@ export class Enemy {
     this.hurtSound = hurtSound;
   }
   
+  setRandom(random) {
+    this.random = random;
+  }
+  
   // Check if player is in front of the enemy (for swing hit detection)
   isPlayerInFrontOfEnemy() {
     if (!this.player) return false;
@@ -548,8 +555,8 @@ export class Enemy {
       const launchAngle = -1500; // Increased from -1200 - Much stronger upward angle
       
       // Add some randomness to make it unpredictable
-      const powerVariation = 0.9 + Math.random() * 0.2; // 90-110% power variation
-      const angleVariation = 0.95 + Math.random() * 0.1; // 95-105% angle variation
+      const powerVariation = 0.9 + this.random.next() * 0.2; // 90-110% power variation
+      const angleVariation = 0.95 + this.random.next() * 0.1; // 95-105% angle variation
       
       const finalPower = insanePower * powerVariation;
       const finalAngle = launchAngle * angleVariation;
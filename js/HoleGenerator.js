@@ -0,0 +1,233 @@
+/**
+ * HoleGenerator - Builds random holes and courses from a seed
+ *
+ * generateHole() returns a hole definition in the same shape as a course
+ * file entry (terrain waves, green, pin, tee, water and bunkers), so the
+ * result goes through parseHole/createTerrain like any authored hole. The
+ * same seed and hole number always give the same hole.
+ *
+ * Yardage ranges sit inside CourseManager.calculateParFromYardage's bands, so
+ * a hole generated for a par is always rated that par from its yardage.
+ */
+import { SeededRandom, createSeed, normalizeSeed } from './random.js';
+
+const PIXELS_PER_YARD = 20;
+
+// Tee position every generated hole starts from (the parseHole default)
+const TEE_X = 200;
+
+// Tee-to-pin yardage for each par (par 3 < 230, par 4 230-500, par 5 501-690, par 6 > 690)
+// The longest par 6 makes a hole about 30,000 pixels wide
+export const PAR_YARDAGES = {
+  3: { min: 130, max: 220 },
+  4: { min: 250, max: 480 },
+  5: { min: 510, max: 600 },
+  6: { min: 750, max: 1400 }
+};
+
+// How often each par turns up on a generated course (par 6s only when asked for)
+const PAR_WEIGHTS = { 3: 0.22, 4: 0.56, 5: 0.22 };
+
+// Prefix for generated course ids, followed by the course seed
+export const RANDOM_COURSE_PREFIX = 'random-';
+
+// Keep hazards clear of the tee shot's first 100 yards and of each other
+const TEE_CLEARANCE = 100 * PIXELS_PER_YARD;
+const HAZARD_GAP = 200;
+
+/**
+ * Generate one hole definition
+ *
+ * options:
+ *   number  - hole number, also picks the hole's stream from the seed (default 1)
+ *   par     - 3, 4, 5 or 6 - picks a yardage for that par (default random, never a par 6)
+ *   yardage - tee-to-pin yards, overriding par (the par then follows from it)
+ */
+export function generateHole(seed, options = {}) {
+  const number = options.number || 1;
+  const random = new SeededRandom(seed).fork(`hole-${number}`);
+
+  let yardage = options.yardage;
+  if (!yardage) {
+    const par = options.par || pickPar(random);
+    const range = PAR_YARDAGES[par];
+    if (!range) {
+      throw new Error(`Cannot generate a par ${par} hole (choose ${Object.keys(PAR_YARDAGES).join(', ')})`);
+    }
+    yardage = random.int(range.min, range.max);
+  }
+  yardage = Math.round(yardage);
+
+  // Par 3s sometimes play down from a raised tee, longer holes roll
+  const terrainType = yardage < 230 && random.chance(0.4) ? 'elevatedTee' : random.chance(0.6) ? 'rolling' : 'gentle';
+  const raisedGreen = terrainType === 'rolling';
+
+  // Green around the pin, with the pin somewhere in its middle half
+  const pinX = TEE_X + yardage * PIXELS_PER_YARD;
+  const greenWidth = random.int(20, 35) * PIXELS_PER_YARD;
+  const green = {
+    startX: Math.round(pinX - greenWidth * random.float(0.25, 0.75)),
+    width: greenWidth,
+    height: raisedGreen ? random.int(60, 140) : random.int(10, 30),
+    slopeWidth: raisedGreen ? random.int(300, 450) : random.int(150, 250),
+    contour: generateContour(random),
+    stimp: random.int(8, 12)
+  };
+  const greenEndX = green.startX + green.width;
+
+  // Room past the green for long shots before the world ends
+  const width = Math.round((greenEndX + green.slopeWidth + random.int(1200, 1800)) / PIXELS_PER_YARD) * PIXELS_PER_YARD;
+
+  const hole = {
+    yardage: yardage,
+    width: width,
+    segments: width / PIXELS_PER_YARD,
+    terrain: generateTerrainShape(random, terrainType),
+    tee: { x: TEE_X, playerX: 100 },
+    green: green,
+    pin: { x: pinX },
+    water: [],
+    bunkers: [],
+    scenery: { trees: random.chance(0.7) }
+  };
+
+  // Rolling holes get the tall world and close camera of the other rolling holes
+  if (raisedGreen) {
+    hole.world = { top: -2000, height: 2650 };
+    hole.camera = { height: 650 };
+  }
+
+  placeHazards(random, hole);
+  return hole;
+}
+
+/**
+ * Generate a course file (raw course data for CourseManager.loadCourse)
+ *
+ * options:
+ *   holeCount - number of holes (default 18)
+ */
+export function generateCourse(seed = createSeed(), options = {}) {
+  const courseSeed = normalizeSeed(seed);
+  const holeCount = options.holeCount || 18;
+  const holes = [];
+
+  for (let number = 1; number <= holeCount; number++) {
+    holes.push(generateHole(courseSeed, { number }));
+  }
+
+  return {
+    id: `${RANDOM_COURSE_PREFIX}${courseSeed}`,
+    name: getRandomCourseName(courseSeed),
+    pixelsPerYard: PIXELS_PER_YARD,
+    holes: holes
+  };
+}
+
+// Display name of the course generated from a seed
+export function getRandomCourseName(seed) {
+  return `Random Course #${normalizeSeed(seed)}`;
+}
+
+// Get the seed a generated course was built from, or null for any other course id
+export function getRandomCourseSeed(courseId) {
+  if (typeof courseId !== 'string' || !courseId.startsWith(RANDOM_COURSE_PREFIX)) return null;
+  const seed = Number(courseId.slice(RANDOM_COURSE_PREFIX.length));
+  return Number.isInteger(seed) ? seed : null;
+}
+
+// Pick a par using PAR_WEIGHTS
+function pickPar(random) {
+  let roll = random.next();
+  for (const [par, weight] of Object.entries(PAR_WEIGHTS)) {
+    roll -= weight;
+    if (roll < 0) return Number(par);
+  }
+  return 4;
+}
+
+// A few gentle heights across the green, or a flat green
+function generateContour(random) {
+  if (random.chance(0.25)) return [];
+  const points = random.int(3, 5);
+  const contour = [];
+  for (let i = 0; i < points; i++) {
+    contour.push(random.int(-6, 10));
+  }
+  return contour;
+}
+
+// Terrain definition for a terrain type, in the ranges the course files use
+function generateTerrainShape(random, type) {
+  if (type === 'elevatedTee') {
+    return {
+      type: type,
+      teeElevation: random.int(150, 300),
+      teeFlatLength: random.int(30, 50) * PIXELS_PER_YARD,
+      dropExponent: Math.round(random.float(0.6, 0.9) * 100) / 100,
+      waves: [{ frequency: 0.001, amplitude: random.int(4, 10) }]
+    };
+  }
+
+  // Long low swells with a shorter wave on top
+  const frequency = Math.round(random.float(0.0003, 0.0007) * 100000) / 100000;
+  return {
+    type: type,
+    waves: [
+      { frequency: frequency, amplitude: random.int(25, 60) },
+      { frequency: Math.round(frequency * random.float(1.8, 2.4) * 100000) / 100000, amplitude: random.int(10, 30) }
+    ]
+  };
+}
+
+// Lay water and bunkers between the tee shot and the green, and around the green
+function placeHazards(random, hole) {
+  const green = hole.green;
+  const greenComplexStart = green.startX - green.slopeWidth;
+  const greenComplexEnd = green.startX + green.width + green.slopeWidth;
+  const taken = [];
+
+  // Reserve an x-range if it's off the green and clear of everything placed so far
+  const reserve = (startX, width) => {
+    const endX = startX + width;
+    if (startX < hole.tee.x + TEE_CLEARANCE || endX > hole.width - 400) return false;
+    if (startX < green.startX + green.width && endX > green.startX) return false;
+    if (taken.some(range => startX < range.endX + HAZARD_GAP && endX > range.startX - HAZARD_GAP)) return false;
+    taken.push({ startX, endX });
+    return true;
+  };
+
+  // Water crossing the hole short of the green, or lying just past it
+  if (random.chance(0.4)) {
+    const width = random.int(15, 45) * PIXELS_PER_YARD;
+    const startX = random.chance(0.7)
+      ? random.int(hole.tee.x + TEE_CLEARANCE, Math.max(hole.tee.x + TEE_CLEARANCE, greenComplexStart - width - HAZARD_GAP))
+      : greenComplexEnd + random.int(0, 100);
+    if (reserve(startX, width)) {
+      hole.water.push({ startX, width });
+    }
+  }
+
+  // Greenside bunker on either side of the green
+  if (random.chance(0.75)) {
+    const width = random.int(15, 25) * PIXELS_PER_YARD;
+    const startX = random.chance(0.6)
+      ? green.startX - width - random.int(40, 120)
+      : green.startX + green.width + random.int(40, 120);
+    if (reserve(startX, width)) {
+      hole.bunkers.push({ startX, width });
+    }
+  }
+
+  // Fairway bunkers in the landing area, up to one per 250 yards
+  const fairwayBunkers = random.int(0, Math.floor(hole.yardage / 250));
+  for (let i = 0; i < fairwayBunkers; i++) {
+    const width = random.int(15, 30) * PIXELS_PER_YARD;
+    const startX = random.int(hole.tee.x + TEE_CLEARANCE, Math.max(hole.tee.x + TEE_CLEARANCE, greenComplexStart - width));
+    if (reserve(startX, width)) {
+      hole.bunkers.push({ startX, width });
+    }
+  }
+
+  hole.bunkers.sort((a, b) => a.startX - b.startX);
+}
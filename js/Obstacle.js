@@ -0,0 +1,311 @@
+/**
+ * Obstacle - Trees, shrubs, fences and rocks standing on the course
+ *
+ * Obstacles get in the ball's way (the player walks past them):
+ *
+ *   tree  - a trunk the ball bounces off, under branches it can clip or get stuck in
+ *   shrub - low branches and nothing solid
+ *   fence - posts and rails the ball bounces off
+ *   rock  - a boulder the ball bounces off
+ *
+ * Branches don't stop the ball outright. For every pixel it flies through them
+ * there's a chance it clips one, losing speed and going off at a random angle,
+ * and a slow ball clipping a tree's branches can stay up there (unplayable).
+ * A hole lists its obstacles in its course file, standing on the ground at x:
+ *
+ *   "obstacles": [{ "type": "tree", "x": 3200 }, { "type": "fence", "x": 5000, "width": 300 }]
+ *
+ * with an optional "scale" (trees, shrubs and rocks), "width" and "height"
+ * (fences) and "y" to stand it somewhere other than the terrain (e.g. a ledge).
+ */
+
+// Solid parts and branches for each type, at scale 1, relative to the foot of the obstacle
+//   bounce         - share of the ball's speed into a solid part it bounces back with
+//   branchDensity  - chance of clipping a branch per pixel flown through the branches
+//   speedLoss      - share of its speed a clipped ball loses ({ min, max })
+//   deflection     - most a clip turns the ball, either way (radians)
+//   stickSpeed     - a clipped ball slower than this can get stuck...
+//   stickChance    - ...with this chance
+export const OBSTACLE_TYPES = {
+  tree: {
+    name: 'Tree',
+    trunk: { width: 24, height: 150 },
+    branches: [{ x: 0, y: -190, radius: 80 }, { x: -55, y: -150, radius: 55 }, { x: 55, y: -150, radius: 55 }],
+    bounce: 0.45,
+    branchDensity: 0.006,
+    speedLoss: { min: 0.2, max: 0.6 },
+    deflection: 1.0,
+    stickSpeed: 700,
+    stickChance: 0.2
+  },
+  shrub: {
+    name: 'Shrub',
+    branches: [{ x: 0, y: -25, radius: 40 }, { x: -30, y: -15, radius: 28 }, { x: 30, y: -15, radius: 28 }],
+    branchDensity: 0.012,
+    speedLoss: { min: 0.3, max: 0.7 },
+    deflection: 1.2,
+    stickSpeed: 0,
+    stickChance: 0
+  },
+  fence: {
+    name: 'Fence',
+    width: 200,
+    height: 50,
+    bounce: 0.35
+  },
+  rock: {
+    name: 'Rock',
+    radius: 40,
+    bounce: 0.6
+  }
+};
+
+// How far solid parts reach into the ground, so a ball can't slip under them
+const GROUND_OVERLAP = 10;
+
+// Balls don't settle on top of a trunk, fence or rock - a slow one is rolled off at this speed
+export const OBSTACLE_SHED_SPEED = 40;
+
+// Fence posts are this far apart
+const FENCE_POST_SPACING = 50;
+
+export class Obstacle {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.type = options.type || 'tree';
+    this.x = options.x;
+    this.y = options.y; // Ground at the foot of the obstacle
+    this.scale = options.scale || 1;
+
+    const type = OBSTACLE_TYPES[this.type];
+    this.bounce = type.bounce || 0;
+    this.branchDensity = type.branchDensity || 0;
+    this.speedLoss = type.speedLoss || null;
+    this.deflection = type.deflection || 0;
+    this.stickSpeed = type.stickSpeed || 0;
+    this.stickChance = type.stickChance || 0;
+
+    // Solid parts ({ x, y, width, height } rectangles or { x, y, radius } circles) and branch circles
+    this.solids = [];
+    this.branches = (type.branches || []).map(branch => ({
+      x: this.x + branch.x * this.scale,
+      y: this.y + branch.y * this.scale,
+      radius: branch.radius * this.scale
+    }));
+
+    if (type.trunk) {
+      const width = type.trunk.width * this.scale;
+      const height = type.trunk.height * this.scale;
+      this.solids.push({ x: this.x - width / 2, y: this.y - height, width, height: height + GROUND_OVERLAP });
+    } else if (this.type === 'fence') {
+      this.width = options.width || type.width;
+      this.height = options.height || type.height;
+      this.groundYs = options.groundYs || [this.y, this.y]; // Ground under the fence's two ends
+      const top = Math.min(...this.groundYs) - this.height;
+      this.solids.push({
+        x: this.x - this.width / 2,
+        y: top,
+        width: this.width,
+        height: Math.max(...this.groundYs) + GROUND_OVERLAP - top
+      });
+    } else if (this.type === 'rock') {
+      const radius = type.radius * this.scale;
+      this.solids.push({ x: this.x, y: this.y - radius * 0.5, radius }); // Half buried
+    }
+
+    this.createGraphics();
+  }
+
+  createGraphics() {
+    this.graphics = this.scene.add.graphics();
+    this.graphics.setDepth(4); // In front of the ground, behind the player and ball
+
+    if (this.type === 'tree') {
+      const trunk = this.solids[0];
+      this.graphics.fillStyle(0x5D4037);
+      this.graphics.fillRect(trunk.x, trunk.y, trunk.width, trunk.height);
+      this.drawBranches(0x2E7D32, 0x1B5E20);
+    } else if (this.type === 'shrub') {
+      this.drawBranches(0x558B2F, 0x33691E);
+    } else if (this.type === 'fence') {
+      this.drawFence();
+    } else if (this.type === 'rock') {
+      const rock = this.solids[0];
+      this.graphics.fillStyle(0x8D8D8D);
+      this.graphics.fillCircle(rock.x, rock.y, rock.radius);
+      this.graphics.lineStyle(2, 0x616161);
+      this.graphics.strokeCircle(rock.x, rock.y, rock.radius);
+      this.graphics.fillStyle(0xBDBDBD, 0.6);
+      this.graphics.fillCircle(rock.x - rock.radius * 0.3, rock.y - rock.radius * 0.35, rock.radius * 0.3);
+    }
+  }
+
+  drawBranches(color, shadeColor) {
+    this.branches.forEach(branch => {
+      this.graphics.fillStyle(color);
+      this.graphics.fillCircle(branch.x, branch.y, branch.radius);
+    });
+
+    // Darker leaves low in each clump
+    this.graphics.fillStyle(shadeColor, 0.5);
+    this.branches.forEach(branch => {
+      this.graphics.fillCircle(branch.x, branch.y + branch.radius * 0.35, branch.radius * 0.6);
+    });
+  }
+
+  drawFence() {
+    const left = this.x - this.width / 2;
+    const [leftGround, rightGround] = this.groundYs;
+    const groundAt = x => leftGround + (rightGround - leftGround) * ((x - left) / this.width);
+
+    // Posts following the ground, joined by two rails
+    this.graphics.fillStyle(0x8D6E63);
+    const posts = Math.max(1, Math.round(this.width / FENCE_POST_SPACING));
+    for (let i = 0; i <= posts; i++) {
+      const x = left + (this.width * i) / posts;
+      this.graphics.fillRect(x - 4, groundAt(x) - this.height, 8, this.height + GROUND_OVERLAP);
+    }
+
+    this.graphics.lineStyle(5, 0xA1887F);
+    [0.25, 0.65].forEach(rail => {
+      this.graphics.lineBetween(
+        left, leftGround - this.height * (1 - rail),
+        left + this.width, rightGround - this.height * (1 - rail)
+      );
+    });
+  }
+
+  // Check if a point is in the branches
+  isInBranches(x, y) {
+    return this.branches.some(branch =>
+      (x - branch.x) * (x - branch.x) + (y - branch.y) * (y - branch.y) <= branch.radius * branch.radius
+    );
+  }
+
+  // Where a circle overlapping a solid part should be pushed out to: { x, y, normal } or null
+  getContact(x, y, radius) {
+    for (const solid of this.solids) {
+      // Rocks - out along the line from their centre
+      if (solid.radius !== undefined) {
+        const dx = x - solid.x;
+        const dy = y - solid.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= solid.radius + radius) continue;
+
+        const normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 0, y: -1 };
+        return {
+          x: solid.x + normal.x * (solid.radius + radius),
+          y: solid.y + normal.y * (solid.radius + radius),
+          normal
+        };
+      }
+
+      // Closest point of the rectangle to the circle's centre
+      const closest = {
+        x: Math.max(solid.x, Math.min(x, solid.x + solid.width)),
+        y: Math.max(solid.y, Math.min(y, solid.y + solid.height))
+      };
+      const dx = x - closest.x;
+      const dy = y - closest.y;
+      const distance = Math.hypot(dx, dy);
+
+      if (distance > 0 && distance < radius) {
+        const normal = { x: dx / distance, y: dy / distance };
+        return { x: closest.x + normal.x * radius, y: closest.y + normal.y * radius, normal };
+      }
+
+      // Centre inside the rectangle - out through the nearest side (not the bottom, that's in the ground)
+      if (distance === 0) {
+        const sides = [
+          { gap: x - solid.x, normal: { x: -1, y: 0 } },
+          { gap: solid.x + solid.width - x, normal: { x: 1, y: 0 } },
+          { gap: y - solid.y, normal: { x: 0, y: -1 } }
+        ];
+        const side = sides.reduce((best, candidate) => (candidate.gap < best.gap ? candidate : best));
+        return {
+          x: x + side.normal.x * (side.gap + radius),
+          y: y + side.normal.y * (side.gap + radius),
+          normal: side.normal
+        };
+      }
+    }
+    return null;
+  }
+
+  destroy() {
+    if (this.graphics) {
+      this.graphics.destroy();
+    }
+  }
+}
+
+/**
+ * ObstacleMixin - Mixin to add trees, shrubs, fences and rocks to terrain classes
+ * Usage: Object.assign(TerrainClass.prototype, ObstacleMixin);
+ */
+export const ObstacleMixin = {
+  // Initialize obstacles array
+  initObstacles() {
+    this.obstacles = [];
+  },
+
+  // Add an obstacle ({ type, x, scale, width, height, y }), standing on the terrain unless y is given
+  addObstacle(options = {}) {
+    if (!this.obstacles) {
+      this.initObstacles();
+    }
+    options = { ...options };
+
+    if (options.y === undefined) {
+      options.y = this.getHeightAtX(options.x);
+    }
+
+    // Fences follow the ground from end to end
+    if (options.type === 'fence' && !options.groundYs) {
+      const halfWidth = (options.width || OBSTACLE_TYPES.fence.width) / 2;
+      options.groundYs = [options.x - halfWidth, options.x + halfWidth].map(x => this.getHeightAtX(x));
+    }
+
+    const obstacle = new Obstacle(this.scene, options);
+    this.obstacles.push(obstacle);
+
+    return obstacle;
+  },
+
+  // Solid part a ball at (x, y) is touching: { obstacle, x, y, normal } with where to put it, or null
+  getObstacleContact(x, y, radius) {
+    if (!this.obstacles) return null;
+
+    for (const obstacle of this.obstacles) {
+      const contact = obstacle.getContact(x, y, radius);
+      if (contact) {
+        return { ...contact, obstacle };
+      }
+    }
+    return null;
+  },
+
+  // Get the obstacle whose branches are at (x, y), or null
+  getBranchesAt(x, y) {
+    if (!this.obstacles) return null;
+
+    return this.obstacles.find(obstacle => obstacle.isInBranches(x, y)) || null;
+  },
+
+  // Get the obstacle nearest x within range, or null (for editing)
+  getObstacleNearX(x, range) {
+    if (!this.obstacles) return null;
+
+    const nearest = this.obstacles.reduce((best, obstacle) =>
+      (!best || Math.abs(obstacle.x - x) < Math.abs(best.x - x) ? obstacle : best), null);
+    return nearest && Math.abs(nearest.x - x) <= range ? nearest : null;
+  },
+
+  // Destroy all obstacles
+  destroyObstacles() {
+    if (this.obstacles) {
+      this.obstacles.forEach(obstacle => obstacle.destroy());
+      this.obstacles = [];
+    }
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * PenaltyRelief - Where the ball can be played from after going in a penalty area
+ * or being declared unplayable
+ *
+ * Either costs one stroke, and the player picks how to go on:
+ *
+ *   replay     - play again from where the last shot was hit (stroke and distance)
+ *   backOnLine - drop back any distance, keeping the reference point between
+ *                the drop and the hole
+ *   lateral    - drop within two club-lengths of the reference point
+ *
+ * The reference point is where the ball went into the water, or where the
+ * unplayable ball lies. A drop is only allowed where it is no nearer the hole
+ * than the reference point, clear of every water hazard and bunker and inside
+ * the out-of-bounds stakes. Hazards come from the terrain's WaterHazardMixin and
+ * BunkerMixin data (terrain.waterHazards and terrain.bunkers).
+ */
+
+export const RELIEF_OPTIONS = {
+  REPLAY: 'replay',
+  BACK_ON_LINE: 'backOnLine',
+  LATERAL: 'lateral'
+};
+
+export const RELIEF_OPTION_NAMES = {
+  [RELIEF_OPTIONS.REPLAY]: 'Replay from previous spot',
+  [RELIEF_OPTIONS.BACK_ON_LINE]: 'Drop back on the line',
+  [RELIEF_OPTIONS.LATERAL]: 'Lateral drop (two club-lengths)'
+};
+
+// A driver laid on the ground, in pixels (about 1.2 yards at 20 pixels per yard)
+export const CLUB_LENGTH = 24;
+
+// Back-on-the-line drops go this far behind the reference point when it's clear (12.5 yards)
+const BACK_ON_LINE_DISTANCE = 250;
+
+// A dropped ball must sit at least this far from a hazard's edge (ball radius)
+const DROP_CLEARANCE = 12;
+
+// Spacing of the spots tried when looking for a clear drop
+const SEARCH_STEP = 4;
+
+// X-ranges of the water hazards and bunkers on a terrain
+export function getHazardRanges(terrain) {
+  const water = (terrain.waterHazards || []).map(hazard => hazard.getWaterBounds());
+  const bunkers = (terrain.bunkers || []).map(bunker => bunker.getBunkerBounds());
+
+  return { water, bunkers };
+}
+
+// Edge of the water hazard the ball at ballX crossed on its way in
+// approachDirection is GolfBall.approachDirection ('right' when travelling left to right)
+export function findPenaltyAreaEntry(terrain, ballX, approachDirection) {
+  const { water } = getHazardRanges(terrain);
+  const hazard = water.find(range => ballX >= range.startX && ballX <= range.endX);
+  if (!hazard) return ballX;
+
+  return approachDirection === 'right' ? hazard.startX : hazard.endX;
+}
+
+// Check a drop at x against the rules - referenceX is the point it may not be nearer the hole than
+export function isValidDrop(terrain, x, referenceX) {
+  const pinX = terrain.getPinPosition().x;
+  if (Math.abs(x - pinX) < Math.abs(referenceX - pinX)) {
+    return false;
+  }
+
+  if (x < DROP_CLEARANCE || x > terrain.width - DROP_CLEARANCE) {
+    return false;
+  }
+
+  if (terrain.outOfBounds && (x < terrain.outOfBounds.left || x > terrain.outOfBounds.right)) {
+    return false;
+  }
+
+  const { water, bunkers } = getHazardRanges(terrain);
+  return ![...water, ...bunkers].some(range =>
+    x >= range.startX - DROP_CLEARANCE && x <= range.endX + DROP_CLEARANCE
+  );
+}
+
+// First valid drop at one of the given distances from fromX, heading in direction (-1 or 1)
+function findClearDrop(terrain, fromX, direction, distances, referenceX) {
+  for (const distance of distances) {
+    const x = fromX + direction * distance;
+    if (isValidDrop(terrain, x, referenceX)) {
+      return x;
+    }
+  }
+  return null;
+}
+
+// Distances from start to end (either way round) in SEARCH_STEP steps
+function range(start, end) {
+  const distances = [];
+  const step = end >= start ? SEARCH_STEP : -SEARCH_STEP;
+  for (let distance = start; step > 0 ? distance <= end : distance >= end; distance += step) {
+    distances.push(distance);
+  }
+  return distances;
+}
+
+// Replay, back-on-the-line and lateral options measured from referenceX
+// Lateral drops go the full two club-lengths when that spot is clear, otherwise as far as is clear
+function getReliefOptions(terrain, referenceX, shotOrigin) {
+  const pinX = terrain.getPinPosition().x;
+  const awayFromHole = referenceX <= pinX ? -1 : 1;
+
+  // Back on the line - the usual spot if it's clear, otherwise further back, then closer in
+  const backOnLineX = findClearDrop(terrain, referenceX, awayFromHole, [
+    ...range(BACK_ON_LINE_DISTANCE, terrain.width),
+    ...range(BACK_ON_LINE_DISTANCE, SEARCH_STEP)
+  ], referenceX);
+
+  const lateralX = findClearDrop(terrain, referenceX, awayFromHole, range(CLUB_LENGTH * 2, SEARCH_STEP), referenceX);
+
+  const options = [
+    { type: RELIEF_OPTIONS.REPLAY, x: shotOrigin.x, y: shotOrigin.y, valid: true },
+    { type: RELIEF_OPTIONS.BACK_ON_LINE, x: backOnLineX, y: null, valid: backOnLineX !== null },
+    { type: RELIEF_OPTIONS.LATERAL, x: lateralX, y: null, valid: lateralX !== null }
+  ];
+
+  return options.map(option => ({ ...option, name: RELIEF_OPTION_NAMES[option.type] }));
+}
+
+/**
+ * Work out the relief options for a ball that has gone in the water
+ *
+ * ball:
+ *   x                 - where the ball went in
+ *   approachDirection - 'right' or 'left', the way the ball was travelling
+ *   shotOrigin        - { x, y } the last shot was played from
+ *
+ * Returns [{ type, name, x, y, valid }] in menu order. y is only set for the
+ * replay (the previous lie), drops are placed on the ground by GolfBall.
+ * An option with no legal spot on this hole has valid false and x null.
+ */
+export function getPenaltyReliefOptions(terrain, ball) {
+  const entryX = findPenaltyAreaEntry(terrain, ball.x, ball.approachDirection);
+  return getReliefOptions(terrain, entryX, ball.shotOrigin);
+}
+
+// Relief options for an unplayable ball at ball.x (same shape as getPenaltyReliefOptions)
+export function getUnplayableLieOptions(terrain, ball) {
+  return getReliefOptions(terrain, ball.x, ball.shotOrigin);
+}
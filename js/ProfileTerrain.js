@@ -0,0 +1,35 @@
+/**
+ * ProfileTerrain - Hole profile drawn by an artist as a heightmap image or SVG path
+ *
+ * The profile (see heightSources.js) is sampled once per height map point and
+ * raised up to amplitude pixels above the base height. Any sine waves in the
+ * terrain definition are added on top for extra undulation.
+ */
+import { BaseTerrain } from './BaseTerrain.js';
+import { getHeightmapKey, sampleImageHeights, sampleSvgPathHeights } from './heightSources.js';
+
+// Height of the profile's highest point above base when the terrain doesn't give an amplitude
+const DEFAULT_AMPLITUDE = 200;
+
+export class ProfileTerrain extends BaseTerrain {
+  setShape(shape) {
+    super.setShape(shape);
+    this.amplitude = shape.amplitude !== undefined ? shape.amplitude : DEFAULT_AMPLITUDE;
+    
+    // Elevations from 0 to 1, one for each height map point
+    const samples = this.segments + 1;
+    this.profile = shape.image
+      ? sampleImageHeights(this.scene.textures, getHeightmapKey(shape.image), samples)
+      : sampleSvgPathHeights(shape.path, samples, shape.viewBox);
+  }
+
+  // Ground height before the green is added
+  getBaseHeightAtX(x) {
+    const position = Math.max(0, Math.min(1, x / this.width)) * (this.profile.length - 1);
+    const left = Math.floor(position);
+    const right = Math.min(left + 1, this.profile.length - 1);
+    const elevation = this.profile[left] + (this.profile[right] - this.profile[left]) * (position - left);
+    
+    return super.getBaseHeightAtX(x) - elevation * this.amplitude;
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * SaveManager - Persists the round in progress and completed rounds to localStorage
+ *
+ * Save data carries a schema version. When the shape changes, bump
+ * SAVE_VERSION and add a migration from the previous version to MIGRATIONS
+ * so older saves are upgraded on load instead of being thrown away.
+ *
+ * Save data that can't be read (corrupt, or from a newer version of the game
+ * with no way back) is never overwritten: it's copied to BACKUP_KEY and the
+ * save manager goes read-only for the session, playing on from an empty save.
+ */
+import { courseManager } from './CourseManager.js';
+
+const SAVE_KEY = 'golf-game-save';
+
+// Where unreadable save data is kept so it can be recovered
+const BACKUP_KEY = 'golf-save-backup';
+
+// Current save data schema version
+export const SAVE_VERSION = 2;
+
+// Keep the history from growing without limit
+const MAX_COMPLETED_ROUNDS = 50;
+
+// Migrations keyed by the version they upgrade from (each returns data for version + 1)
+const MIGRATIONS = {
+  // Version 2 adds player settings (difficulty)
+  1: data => ({ ...data, settings: {} })
+};
+
+export class SaveManager {
+  constructor(storage = SaveManager.getDefaultStorage()) {
+    this.storage = storage; // localStorage, or null when unavailable
+    this.readOnly = false; // Set when the stored save couldn't be read, so it isn't overwritten
+    this.data = this.load();
+  }
+
+  // Get localStorage if the browser allows it (it can throw in private modes or file:// pages)
+  static getDefaultStorage() {
+    try {
+      return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Empty save data for a new player
+  createEmptySave() {
+    return {
+      version: SAVE_VERSION,
+      round: null, // Round in progress (see CourseManager.getRoundState)
+      completedRounds: [], // Finished rounds, most recent last
+      settings: {} // Player options such as difficulty
+    };
+  }
+
+  // Read save data from storage, migrating older versions
+  load() {
+    if (!this.storage) {
+      console.warn('localStorage not available - progress will not be saved');
+      return this.createEmptySave();
+    }
+
+    let raw = null;
+    try {
+      raw = this.storage.getItem(SAVE_KEY);
+      if (!raw) {
+        return this.createEmptySave();
+      }
+      return this.migrate(JSON.parse(raw));
+    } catch (error) {
+      console.error('Could not read save data - keeping it and not saving this session:', error);
+      this.backUp(raw);
+      this.readOnly = true;
+      return this.createEmptySave();
+    }
+  }
+
+  // Keep a copy of save data that couldn't be read
+  backUp(raw) {
+    if (raw === null) return;
+
+    try {
+      this.storage.setItem(BACKUP_KEY, raw);
+      console.warn(`Unreadable save data copied to localStorage "${BACKUP_KEY}"`);
+    } catch (error) {
+      console.error('Could not back up save data:', error);
+    }
+  }
+
+  // Check if saving is turned off because the stored save couldn't be read
+  isReadOnly() {
+    return this.readOnly;
+  }
+
+  // Upgrade save data to the current schema version
+  migrate(data) {
+    let version = data.version || 0;
+
+    if (version > SAVE_VERSION) {
+      throw new Error(`Save data version ${version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+      const migration = MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`No migration from save data version ${version}`);
+      }
+      data = migration(data);
+      version++;
+      data.version = version;
+      console.log(`Migrated save data to version ${version}`);
+    }
+
+    return { ...this.createEmptySave(), ...data };
+  }
+
+  // Write save data to storage (never over a save that couldn't be read)
+  write() {
+    if (!this.storage) return false;
+
+    if (this.readOnly) {
+      console.warn('Save data is read-only this session - progress is not being saved');
+      return false;
+    }
+
+    try {
+      this.storage.setItem(SAVE_KEY, JSON.stringify(this.data));
+      return true;
+    } catch (error) {
+      console.error('Could not write save data:', error);
+      return false;
+    }
+  }
+
+  // Save the course manager's round in progress
+  saveRound() {
+    this.data.round = courseManager.getRoundState();
+    this.write();
+  }
+
+  // Check if there is a round that can be continued
+  hasSavedRound() {
+    return this.data.round !== null;
+  }
+
+  // Get the saved round in progress
+  getSavedRound() {
+    return this.data.round;
+  }
+
+  // Forget the round in progress
+  clearRound() {
+    this.data.round = null;
+    this.write();
+  }
+
+  // Add the finished round to the history and clear the round in progress
+  recordCompletedRound() {
+    const scorecard = courseManager.getScorecard();
+    const totals = courseManager.getScorecardTotals(scorecard);
+
+    this.data.completedRounds.push({
+      courseId: courseManager.course.id,
+      courseName: courseManager.course.name,
+      roundType: courseManager.roundType,
+      seed: courseManager.getSeed(),
+      completedAt: new Date().toISOString(),
+      strokes: totals.score,
+      par: totals.par,
+      scoreToPar: totals.scoreToPar,
+      scores: scorecard.map(entry => entry.score),
+      penalties: totals.penalties
+    });
+
+    // Drop the oldest rounds once the history is full
+    if (this.data.completedRounds.length > MAX_COMPLETED_ROUNDS) {
+      this.data.completedRounds.splice(0, this.data.completedRounds.length - MAX_COMPLETED_ROUNDS);
+    }
+
+    this.data.round = null;
+    this.write();
+    console.log(`Round saved to history (${this.data.completedRounds.length} rounds played)`);
+  }
+
+  // Get all completed rounds
+  getCompletedRounds() {
+    return this.data.completedRounds;
+  }
+
+  // Get the best (lowest to par) completed round for a course and round type
+  getBestRound(courseId, roundType) {
+    return this.data.completedRounds
+      .filter(round => round.courseId === courseId && round.roundType === roundType)
+      .reduce((best, round) => (!best || round.scoreToPar < best.scoreToPar ? round : best), null);
+  }
+
+  // Get a player setting, or the default when it has never been set
+  getSetting(key, defaultValue = null) {
+    const value = this.data.settings[key];
+    return value !== undefined ? value : defaultValue;
+  }
+
+  // Change a player setting and save it
+  setSetting(key, value) {
+    this.data.settings[key] = value;
+    this.write();
+  }
+
+  // Delete all save data (an unreadable save stays in its backup)
+  reset() {
+    this.data = this.createEmptySave();
+    this.readOnly = false;
+    this.write();
+    console.log('Save data cleared');
+  }
+}
+
+// Global save manager instance
+export const saveManager = new SaveManager();
@@ -0,0 +1,290 @@
+/**
+ * Structure - Solid ground shaped by a polygon: bridges, ledges, overhangs and caves
+ *
+ * The height map gives the ground one height per x. Structures add ground on
+ * top of that wherever their polygon sits, so a hole can stack surfaces (a
+ * bridge over water, a ledge above the fairway) or hang rock over the ground
+ * to make a cave. A hole lists them in its course file:
+ *
+ *   "structures": [{ "points": [[4000, 420], [4600, 420], [4600, 440], [4000, 440]], "style": "wood" }]
+ *
+ * Every polygon edge is a line segment with an outward normal. Edges facing
+ * up are ground the ball rolls on and the player walks on; the rest are walls
+ * and ceilings the ball bounces off and the player can't walk through.
+ */
+import { SURFACE_TYPES } from './surfaces.js';
+
+// Looks and the lie on top for each style (a structure's "surface" overrides the lie)
+export const STRUCTURE_STYLES = {
+  rock: { fill: 0x757575, edge: 0x5D5D5D, top: 0x3E8E41, surface: 'rough' },
+  wood: { fill: 0x8D6E63, edge: 0x5D4037, top: 0x6D4C41, surface: 'cartPath' },
+  grass: { fill: 0x4CAF50, edge: 0x388E3C, top: 0x5CB85C, surface: 'fairway' }
+};
+
+// Edges whose normal points at least this far up count as ground
+const GROUND_NORMAL_Y = -0.5;
+
+// How far below a point ground can start and still be under it (lets the ball and player step onto a top)
+export const STRUCTURE_STEP_HEIGHT = 20;
+
+// How far a circle is left sunk into an edge it's pushed back to, so it counts as touching
+const CONTACT_DEPTH = 0.01;
+
+export class Structure {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.points = options.points.map(([x, y]) => ({ x, y }));
+    this.style = options.style || 'rock';
+
+    const style = STRUCTURE_STYLES[this.style];
+    this.surface = options.surface || style.surface; // Lie on the structure's top
+    this.fillColor = style.fill;
+    this.edgeColor = style.edge;
+    this.topColor = style.top;
+
+    // Bounding box for quick rejects
+    this.minX = Math.min(...this.points.map(point => point.x));
+    this.maxX = Math.max(...this.points.map(point => point.x));
+    this.minY = Math.min(...this.points.map(point => point.y));
+    this.maxY = Math.max(...this.points.map(point => point.y));
+
+    this.edges = this.createEdges();
+    this.createGraphics();
+  }
+
+  // Line segments round the polygon, each with its outward normal
+  createEdges() {
+    const edges = [];
+
+    this.points.forEach((start, index) => {
+      const end = this.points[(index + 1) % this.points.length];
+      const length = Math.hypot(end.x - start.x, end.y - start.y);
+      if (length === 0) return;
+
+      // Whichever side of the edge is outside the polygon
+      let normal = { x: (end.y - start.y) / length, y: -(end.x - start.x) / length };
+      const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+      if (this.containsPoint(middle.x + normal.x, middle.y + normal.y)) {
+        normal = { x: -normal.x, y: -normal.y };
+      }
+
+      edges.push({
+        start: start,
+        end: end,
+        length: length,
+        direction: { x: (end.x - start.x) / length, y: (end.y - start.y) / length },
+        normal: normal,
+        isGround: normal.y <= GROUND_NORMAL_Y
+      });
+    });
+
+    return edges;
+  }
+
+  createGraphics() {
+    this.graphics = this.scene.add.graphics();
+    this.graphics.setDepth(3); // Above the ground overlays and water, so bridges cover what they cross
+
+    this.graphics.fillStyle(this.fillColor);
+    this.graphics.fillPoints(this.points, true);
+    this.graphics.lineStyle(2, this.edgeColor);
+    this.graphics.strokePoints(this.points, true);
+
+    // Colour the tops by their lie
+    this.graphics.lineStyle(6, this.topColor);
+    this.edges.filter(edge => edge.isGround).forEach(edge => {
+      this.graphics.lineBetween(edge.start.x, edge.start.y, edge.end.x, edge.end.y);
+    });
+  }
+
+  // Point-in-polygon (even-odd crossings)
+  containsPoint(x, y) {
+    if (x < this.minX || x > this.maxX || y < this.minY || y > this.maxY) return false;
+
+    let inside = false;
+    for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+      const a = this.points[i];
+      const b = this.points[j];
+      if ((a.y > y) !== (b.y > y) && x < a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Highest top at x that isn't above y - STRUCTURE_STEP_HEIGHT: { y, slope } or null
+  getGroundBelow(x, y) {
+    if (x < this.minX || x > this.maxX) return null;
+
+    let ground = null;
+    this.edges.forEach(edge => {
+      if (!edge.isGround) return;
+      const left = Math.min(edge.start.x, edge.end.x);
+      const right = Math.max(edge.start.x, edge.end.x);
+      if (x < left || x > right) return;
+
+      const slope = (edge.end.y - edge.start.y) / (edge.end.x - edge.start.x);
+      const edgeY = edge.start.y + (x - edge.start.x) * slope;
+      if (edgeY < y - STRUCTURE_STEP_HEIGHT) return;
+      if (!ground || edgeY < ground.y) {
+        ground = { y: edgeY, slope: slope };
+      }
+    });
+    return ground;
+  }
+
+  // Lie on top of the structure
+  getSurface() {
+    return { type: this.surface, ...SURFACE_TYPES[this.surface] };
+  }
+
+  // Earliest point a circle moving from -> to touches an edge from outside: { t, x, y, edge } or null
+  sweepCircle(from, to, radius) {
+    const moveX = to.x - from.x;
+    const moveY = to.y - from.y;
+    if (Math.max(from.x, to.x) + radius < this.minX || Math.min(from.x, to.x) - radius > this.maxX ||
+        Math.max(from.y, to.y) + radius < this.minY || Math.min(from.y, to.y) - radius > this.maxY) {
+      return null;
+    }
+
+    let hit = null;
+    this.edges.forEach(edge => {
+      // Only edges the circle is moving into
+      if (moveX * edge.normal.x + moveY * edge.normal.y >= 0) return;
+
+      // Distance of the circle's rim from the edge's line at the start and end of the move
+      const startDistance = (from.x - edge.start.x) * edge.normal.x + (from.y - edge.start.y) * edge.normal.y - radius;
+      const endDistance = (to.x - edge.start.x) * edge.normal.x + (to.y - edge.start.y) * edge.normal.y - radius;
+      if (startDistance < -radius || endDistance >= 0) return;
+
+      const t = startDistance <= 0 ? 0 : startDistance / (startDistance - endDistance);
+      const x = from.x + moveX * t;
+      const y = from.y + moveY * t;
+
+      // Touching the segment itself, not the line past its ends
+      const along = (x - edge.start.x) * edge.direction.x + (y - edge.start.y) * edge.direction.y;
+      if (along < 0 || along > edge.length) return;
+
+      if (!hit || t < hit.t) {
+        hit = { t, x, y, edge };
+      }
+    });
+    return hit;
+  }
+
+  // Nearest edge to a point inside the polygon, to push it back out of
+  getNearestEdge(x, y) {
+    let nearest = null;
+    this.edges.forEach(edge => {
+      const along = Math.max(0, Math.min(edge.length,
+        (x - edge.start.x) * edge.direction.x + (y - edge.start.y) * edge.direction.y));
+      const distance = Math.hypot(
+        x - (edge.start.x + edge.direction.x * along),
+        y - (edge.start.y + edge.direction.y * along)
+      );
+      if (!nearest || distance < nearest.distance) {
+        nearest = { edge, distance };
+      }
+    });
+    return nearest ? nearest.edge : null;
+  }
+
+  destroy() {
+    if (this.graphics) {
+      this.graphics.destroy();
+    }
+  }
+}
+
+/**
+ * StructureMixin - Mixin to add structure collision to terrain classes
+ * Usage: Object.assign(TerrainClass.prototype, StructureMixin);
+ */
+export const StructureMixin = {
+  // Initialize structures array
+  initStructures() {
+    this.structures = [];
+  },
+
+  // Add a structure ({ points, style, surface })
+  addStructure(options = {}) {
+    if (!this.structures) {
+      this.initStructures();
+    }
+
+    const structure = new Structure(this.scene, options);
+    this.structures.push(structure);
+
+    return structure;
+  },
+
+  // Highest structure top under (x, y), with the structure: { y, slope, structure } or null
+  getStructureGroundAt(x, y) {
+    if (!this.structures) return null;
+
+    let ground = null;
+    this.structures.forEach(structure => {
+      const top = structure.getGroundBelow(x, y);
+      if (top && (!ground || top.y < ground.y)) {
+        ground = { ...top, structure };
+      }
+    });
+    return ground;
+  },
+
+  // Check if a point is inside any structure
+  isInsideStructure(x, y) {
+    if (!this.structures) return false;
+
+    return this.structures.some(structure => structure.containsPoint(x, y));
+  },
+
+  // Move a circle from -> to against every structure edge. Returns where it stops
+  // ({ x, y, normal, isGround, structure }) or null when nothing is in the way
+  collideCircle(from, to, radius) {
+    if (!this.structures || this.structures.length === 0) return null;
+
+    let hit = null;
+    this.structures.forEach(structure => {
+      const edgeHit = structure.sweepCircle(from, to, radius);
+      if (edgeHit && (!hit || edgeHit.t < hit.t)) {
+        hit = { ...edgeHit, structure };
+      }
+    });
+
+    // Slipped in past a corner - push out through the nearest edge
+    if (!hit) {
+      const structure = this.structures.find(candidate => candidate.containsPoint(to.x, to.y));
+      const edge = structure ? structure.getNearestEdge(to.x, to.y) : null;
+      if (!edge) return null;
+      hit = { x: to.x, y: to.y, edge, structure };
+    }
+
+    // The rest of the move slides along the edge
+    const { edge } = hit;
+    const restX = to.x - hit.x;
+    const restY = to.y - hit.y;
+    const along = restX * edge.direction.x + restY * edge.direction.y;
+    const x = hit.x + edge.direction.x * along;
+    const y = hit.y + edge.direction.y * along;
+
+    // Sit the circle against the edge's line
+    const distance = (x - edge.start.x) * edge.normal.x + (y - edge.start.y) * edge.normal.y;
+    const push = radius - CONTACT_DEPTH - distance;
+    return {
+      x: x + edge.normal.x * push,
+      y: y + edge.normal.y * push,
+      normal: edge.normal,
+      isGround: edge.isGround,
+      structure: hit.structure
+    };
+  },
+
+  // Destroy all structures
+  destroyStructures() {
+    if (this.structures) {
+      this.structures.forEach(structure => structure.destroy());
+      this.structures = [];
+    }
+  }
+};
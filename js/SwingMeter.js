@@ -0,0 +1,149 @@
+/**
+ * SwingMeter - Classic three-click swing meter
+ *
+ * Click 1 starts the meter climbing, click 2 sets the power, and click 3 has
+ * to land in the accuracy zone as the meter swings back past the start.
+ * Clicking early catches the ball thin (low and short of carry), clicking
+ * late hits it fat (ballooning and well short).
+ */
+
+// How the player can swing (saved per player in the settings)
+export const SWING_MODES = {
+  HOLD: 'hold', // Hold Space to charge, release to swing
+  CLASSIC: 'classic' // Three-click meter
+};
+
+export const SWING_MODE_NAMES = {
+  [SWING_MODES.HOLD]: 'Hold to charge',
+  [SWING_MODES.CLASSIC]: 'Three-click'
+};
+
+export const STRIKE_TYPES = {
+  PERFECT: 'perfect',
+  THIN: 'thin',
+  FAT: 'fat'
+};
+
+export class SwingMeter {
+  constructor() {
+    this.riseTime = 1200; // Time in ms for the meter to climb from empty to full
+    this.returnTime = 900; // Time in ms for the meter to swing back from full to empty
+    this.accuracyZone = 0.04; // Meter level either side of the start that strikes it perfectly
+    this.earliestClick = 0.3; // Clicking this far above the zone is the thinnest possible strike
+    this.missLevel = -0.15; // Meter level past the start where the swing happens anyway (fattest strike)
+    this.reset();
+  }
+
+  // Back to idle, ready for the first click
+  reset() {
+    this.state = 'idle'; // idle, rising, returning or complete
+    this.stateStartTime = 0;
+    this.level = 0; // Current meter position (1 = full, below 0 = past the start)
+    this.power = 0; // Power level set by the second click (0-1)
+    this.strike = null; // Strike result once complete
+  }
+
+  // Meter is running (between the first and last click)
+  isActive() {
+    return this.state === 'rising' || this.state === 'returning';
+  }
+
+  isComplete() {
+    return this.state === 'complete';
+  }
+
+  // Handle a swing button press at the given time
+  click(now) {
+    if (this.state === 'idle') {
+      this.state = 'rising';
+      this.stateStartTime = now;
+      this.level = 0;
+      return;
+    }
+
+    // Catch the meter up to the moment of the click
+    this.update(now);
+    if (this.state === 'rising') {
+      this.setPower(now);
+    } else if (this.state === 'returning') {
+      this.finish(this.level);
+    }
+  }
+
+  // Move the meter along for the current time
+  update(now) {
+    const elapsed = now - this.stateStartTime;
+
+    if (this.state === 'rising') {
+      this.level = Math.min(elapsed / this.riseTime, 1);
+
+      // Power locks at full if the player never sets it
+      if (this.level >= 1) {
+        this.setPower(now);
+      }
+    } else if (this.state === 'returning') {
+      this.level = this.power - elapsed / this.returnTime;
+
+      // Swing happens anyway once the meter runs past the accuracy zone
+      if (this.level <= this.missLevel) {
+        this.finish(this.missLevel);
+      }
+    }
+  }
+
+  // Second click - lock in the power and start the meter back down
+  setPower(now) {
+    this.power = this.level;
+    this.state = 'returning';
+    this.stateStartTime = now;
+  }
+
+  // Third click - turn the timing into a strike
+  finish(level) {
+    this.level = level;
+    this.strike = this.getStrikeForLevel(level);
+    this.state = 'complete';
+  }
+
+  // Strike quality for a meter level: early is thin, late is fat
+  // powerMultiplier and launchMultiplier scale the shot in GolfBall.hit
+  getStrikeForLevel(level) {
+    const error = Math.abs(level);
+    if (error <= this.accuracyZone) {
+      return { type: STRIKE_TYPES.PERFECT, severity: 0, powerMultiplier: 1, launchMultiplier: 1 };
+    }
+
+    if (level > 0) {
+      // Thin - ball comes off low, loses a little distance
+      const severity = Math.min((error - this.accuracyZone) / (this.earliestClick - this.accuracyZone), 1);
+      return {
+        type: STRIKE_TYPES.THIN,
+        severity: severity,
+        powerMultiplier: 1 - 0.15 * severity,
+        launchMultiplier: 1 - 0.5 * severity
+      };
+    }
+
+    // Fat - club hits the ground first, ball balloons and comes up well short
+    const severity = Math.min((error - this.accuracyZone) / (Math.abs(this.missLevel) - this.accuracyZone), 1);
+    return {
+      type: STRIKE_TYPES.FAT,
+      severity: severity,
+      powerMultiplier: 1 - 0.4 * severity,
+      launchMultiplier: 1 + 0.2 * severity
+    };
+  }
+
+  // Power level for the shot (the moving meter until power is set)
+  getPowerLevel() {
+    return this.state === 'rising' ? this.level : this.power;
+  }
+
+  getLevel() {
+    return this.level;
+  }
+
+  getStrike() {
+    return this.strike;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * TerrainChunks - The hole's ground baked into render textures, shown only near the camera
+ *
+ * The terrain, surface strip, green and ground hazards are thousands of drawing
+ * commands on a long hole, and Phaser redraws every command of every graphics
+ * object each frame. Once they're drawn they never change, so they're baked
+ * into a row of CHUNK_WIDTH-wide textures and the graphics hidden; each frame
+ * only the chunks the camera can see are drawn.
+ */
+
+// Width of one baked texture (well inside the smallest max texture size)
+const CHUNK_WIDTH = 1024;
+
+// Chunks this close to the edge of the view stay visible, so none pop in
+const CULL_MARGIN = 256;
+
+export class TerrainChunks {
+  // Chunks covering x 0 to width and y top to bottom
+  constructor(scene, width, top, bottom, depth = 1) {
+    this.scene = scene;
+    this.top = Math.floor(top);
+    this.height = Math.ceil(bottom) - this.top;
+    this.chunks = [];
+
+    for (let x = 0; x < width; x += CHUNK_WIDTH) {
+      const chunk = scene.add.renderTexture(x, this.top, Math.min(CHUNK_WIDTH, Math.ceil(width - x)), this.height);
+      chunk.setOrigin(0, 0);
+      chunk.setDepth(depth);
+      this.chunks.push(chunk);
+    }
+  }
+
+  // Draw graphics into the chunks (lowest depth first, as the scene would) and hide them
+  bake(graphicsList) {
+    const layers = graphicsList
+      .filter(graphics => graphics)
+      .sort((a, b) => a.depth - b.depth);
+
+    this.chunks.forEach(chunk => {
+      layers.forEach(graphics => chunk.draw(graphics, -chunk.x, -this.top));
+    });
+    layers.forEach(graphics => graphics.setVisible(false));
+  }
+
+  // Show only the chunks in or near the camera's view
+  update(camera) {
+    const view = camera.worldView;
+    this.chunks.forEach(chunk => {
+      chunk.setVisible(
+        chunk.x < view.right + CULL_MARGIN &&
+        chunk.x + chunk.width > view.x - CULL_MARGIN
+      );
+    });
+  }
+
+  destroy() {
+    this.chunks.forEach(chunk => chunk.destroy());
+    this.chunks = [];
+  }
+}
@@ -1,6 +1,11 @@
 /**
  * WaterHazard - Reusable water hazard system for golf holes
  * Can be positioned anywhere on the course with customizable width
+ *
+ * Given groundPoints (the terrain's height map points under it) the water fills
+ * the ground's shape, catching the ball wherever it touches that ground, and its
+ * level is the ground height in the middle. Otherwise it's drawn as a flat pool
+ * at level.
  */
 export class WaterHazard {
   constructor(scene, options = {}) {
@@ -10,7 +15,8 @@ export class WaterHazard {
     this.startX = options.startX || 1000;
     this.width = options.width || 1000; // Default 50 yards (1000 pixels)
     this.endX = this.startX + this.width;
-    this.level = options.level || 500; // Default water level
+    this.groundPoints = options.groundPoints || null; // Terrain points to follow ({ x, y })
+    this.level = options.level || this.getGroundLevel() || 500; // Default water level
     this.baseHeight = options.baseHeight || 600;
     
     // Visual properties
@@ -35,9 +41,20 @@ export class WaterHazard {
     console.log('- Level:', this.level, 'pixels');
   }
   
+  // Ground height in the middle of the hazard, or null without ground points
+  getGroundLevel() {
+    if (!this.groundPoints || this.groundPoints.length === 0) return null;
+    return this.groundPoints[Math.floor(this.groundPoints.length / 2)].y;
+  }
+  
   createWaterGraphics() {
     console.log('Creating water hazard graphics...');
     
+    if (this.groundPoints && this.groundPoints.length > 0) {
+      this.createGroundWaterGraphics();
+      return;
+    }
+    
     // Create water hazard graphics with higher depth to appear on top
     this.waterGraphics = this.scene.add.graphics();
     this.waterGraphics.setDepth(10); // Ensure water appears above terrain
@@ -66,6 +83,31 @@ export class WaterHazard {
     this.addWaterTexture();
   }
   
+  createGroundWaterGraphics() {
+    // Water lying in the terrain, drawn with the green and other ground overlays
+    const points = this.groundPoints;
+    this.waterGraphics = this.scene.add.graphics();
+    this.waterGraphics.setDepth(2);
+    this.waterGraphics.fillStyle(this.waterColor);
+    
+    // Fill from the ground surface down to the bottom of the screen
+    this.waterGraphics.beginPath();
+    this.waterGraphics.moveTo(points[0].x, 768);
+    points.forEach(point => this.waterGraphics.lineTo(point.x, point.y));
+    this.waterGraphics.lineTo(points[points.length - 1].x, 768);
+    this.waterGraphics.closePath();
+    this.waterGraphics.fillPath();
+    
+    // Surface ripples following the ground
+    this.waterGraphics.lineStyle(1, 0x64B5F6, 0.3);
+    points.forEach((point, index) => {
+      const next = points[index + 1];
+      if (!next || index % 2 !== 0) return;
+      const rippleOffset = Math.sin(point.x * 0.01) * 3;
+      this.waterGraphics.lineBetween(point.x + rippleOffset, point.y + 2, next.x + rippleOffset, next.y + 3);
+    });
+  }
+  
   addWaterTexture() {
     // Add some water texture/ripples for visual appeal
     this.waterGraphics.lineStyle(1, 0x64B5F6, 0.3);
@@ -82,11 +124,26 @@ export class WaterHazard {
     }
   }
   
+  // Surface height at x - the ground under the water when it follows the terrain, otherwise level
+  getSurfaceYAtX(x) {
+    const points = this.groundPoints;
+    if (!points || points.length === 0) return this.level;
+    if (x <= points[0].x) return points[0].y;
+    
+    for (let i = 1; i < points.length; i++) {
+      if (x <= points[i].x) {
+        const ratio = (x - points[i - 1].x) / (points[i].x - points[i - 1].x);
+        return points[i - 1].y + (points[i].y - points[i - 1].y) * ratio;
+      }
+    }
+    return points[points.length - 1].y;
+  }
+  
   // Check if ball is in this water hazard
   isBallInWater(ballX, ballY) {
     return ballX >= this.startX && 
            ballX <= this.endX && 
-           ballY >= this.level - 20; // Trigger collision slightly above water surface
+           ballY >= this.getSurfaceYAtX(ballX) - 20; // Trigger collision slightly above water surface
   }
   
   // Get water boundaries for terrain height calculations
@@ -118,10 +175,12 @@ export const WaterHazardMixin = {
   },
   
   // Add a water hazard with custom positioning and width
+  // On a terrain with a height map the water follows the ground unless a level is given
   addWaterHazard(options = {}) {
     if (!this.waterHazards) {
       this.initWaterHazards();
     }
+    options = { ...options };
     
     // Set default position relative to green if not specified
     if (!options.startX && this.greenStartX) {
@@ -129,8 +188,14 @@ export const WaterHazardMixin = {
       options.startX = this.greenStartX - defaultWidth - 50; // Position before green
     }
     
+    // Fill the ground under the hazard
+    if (!options.level && !options.groundPoints && this.heightMap) {
+      const endX = options.startX + (options.width || 1000);
+      options.groundPoints = this.heightMap.filter(point => point.x >= options.startX && point.x <= endX);
+    }
+    
     // Set default level relative to base height
-    if (!options.level && this.baseHeight) {
+    if (!options.level && !options.groundPoints && this.baseHeight) {
       options.level = this.baseHeight - 100; // 100 pixels above base terrain
     }
     
@@ -147,6 +212,13 @@ export const WaterHazardMixin = {
     return this.waterHazards.some(hazard => hazard.isBallInWater(ballX, ballY));
   },
   
+  // Get the water hazard at x, or null
+  getWaterHazardAtX(x) {
+    if (!this.waterHazards) return null;
+    
+    return this.waterHazards.find(hazard => x >= hazard.startX && x <= hazard.endX) || null;
+  },
+  
   // Get height adjustment for water hazards (makes ball sink)
   getWaterHeightAdjustment(x) {
     if (!this.waterHazards) return 0;
@@ -165,78 +237,6 @@ export const WaterHazardMixin = {
       this.waterHazards.forEach(hazard => hazard.destroy());
       this.waterHazards = [];
     }
-  },
-
-  // Compatibility methods for golf ball repositioning
-  // Get the first water hazard's start position (for ball drop positioning)
-  get waterStartX() {
-    if (!this.waterHazards || this.waterHazards.length === 0) return null;
-    return this.waterHazards[0].startX;
-  },
-
-  // Get the first water hazard's end position
-  get waterEndX() {
-    if (!this.waterHazards || this.waterHazards.length === 0) return null;
-    return this.waterHazards[0].endX;
-  },
-
-  // Get the first water hazard's level
-  get waterLevel() {
-    if (!this.waterHazards || this.waterHazards.length === 0) return null;
-    return this.waterHazards[0].level;
-  },
-
-  // Find appropriate drop position for ball after water penalty
-  findWaterDropPosition(ballX, ballY, approachDirection = 'right') {
-    if (!this.waterHazards || this.waterHazards.length === 0) {
-      // Fallback to original position if no water hazards
-      return { x: 200, y: this.getTerrainHeightAtX ? this.getTerrainHeightAtX(200) - 15 : 600 };
-    }
-
-    // Find which water hazard the ball is in
-    const hazard = this.waterHazards.find(h => 
-      ballX >= h.startX && ballX <= h.endX
-    );
-
-    if (!hazard) {
-      // Ball not in any hazard, use first hazard as reference
-      const firstHazard = this.waterHazards[0];
-      const dropX = firstHazard.startX - 250; // 12.5 yards before water for better visibility
-      const dropY = this.getTerrainHeightAtX ? this.getTerrainHeightAtX(dropX) - 15 : 600;
-      return { x: Math.max(200, dropX), y: dropY }; // Don't go behind tee
-    }
-
-    // Drop ball 12.5 yards away from water hazard for better visibility
-    const dropDistance = 250; // 12.5 yards in pixels (12.5 * 20)
-    let dropX;
-
-    // Determine which side of water to drop on based on APPROACH DIRECTION
-    if (approachDirection === 'right') {
-      // Ball was moving left to right - drop on the LEFT side of water (before water)
-      dropX = hazard.startX - dropDistance;
-    } else {
-      // Ball was moving right to left - drop on the RIGHT side of water (after water)
-      dropX = hazard.endX + dropDistance;
-    }
-
-    // Ensure drop position is reasonable
-    dropX = Math.max(200, dropX); // Don't go behind tee
-    if (this.greenStartX) {
-      dropX = Math.min(this.greenStartX - 100, dropX); // Don't go past green
-    }
-
-    const dropY = this.getTerrainHeightAtX ? this.getTerrainHeightAtX(dropX) - 15 : 600;
-    
-    console.log('Water drop position calculated:', {
-      ballX, ballY, 
-      approachDirection,
-      hazardStart: hazard.startX, hazardEnd: hazard.endX,
-      dropX, dropY,
-      dropDistance: '12.5 yards',
-      dropSide: approachDirection === 'right' ? 'left_of_water' : 'right_of_water'
-    });
-
-    return { x: dropX, y: dropY };
   }
 };
 
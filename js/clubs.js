@@ -1,6 +1,7 @@
 /**
  * Club management system for golf game
  */
+import { SPIN_TYPES } from './spin.js';
 
 export const CLUB_TYPES = {
   DRIVER: 'driver',
@@ -16,6 +17,8 @@ export const CLUB_PROPERTIES = {
     launchAngle: -900, // Slightly higher arc for good distance
     horizontalPower: 750, // Reasonable increase from original 650
     canFly: true,
+    spins: [SPIN_TYPES.NONE, SPIN_TYPES.BACKSPIN, SPIN_TYPES.TOPSPIN, SPIN_TYPES.DRAW, SPIN_TYPES.FADE],
+    spinAmount: 0.3, // Low-spinning club - shapes the shot more than it stops it
     description: 'Long distance shots'
   },
   [CLUB_TYPES.IRON]: {
@@ -24,6 +27,8 @@ export const CLUB_PROPERTIES = {
     launchAngle: -1200, // Medium arc - higher than driver, lower than wedge
     horizontalPower: 646, // Reduced by 5% from 680 (680 * 0.95 = 646)
     canFly: true,
+    spins: [SPIN_TYPES.NONE, SPIN_TYPES.BACKSPIN, SPIN_TYPES.TOPSPIN, SPIN_TYPES.DRAW, SPIN_TYPES.FADE],
+    spinAmount: 0.7,
     description: 'Medium distance, accurate shots'
   },
   [CLUB_TYPES.PUTTER]: {
@@ -32,6 +37,8 @@ export const CLUB_PROPERTIES = {
     launchAngle: 0, // No upward velocity - stays on ground
     horizontalPower: 500, // Moderate horizontal power for controlled distance
     canFly: false,
+    spins: [SPIN_TYPES.NONE, SPIN_TYPES.TOPSPIN], // Rolling the ball over keeps a putt going
+    spinAmount: 0.2,
     description: 'Precise ground shots'
   },
   [CLUB_TYPES.WEDGE]: {
@@ -40,6 +47,8 @@ export const CLUB_PROPERTIES = {
     launchAngle: -2700, // Keep high arc characteristic
     horizontalPower: 320, // Increased significantly for more distance
     canFly: true,
+    spins: [SPIN_TYPES.NONE, SPIN_TYPES.BACKSPIN, SPIN_TYPES.TOPSPIN],
+    spinAmount: 1.0, // Most spin of any club
     description: 'High arc, medium distance shots'
   }
 };
@@ -49,6 +58,7 @@ export class ClubManager {
     this.currentClub = CLUB_TYPES.DRIVER;
     this.clubs = Object.keys(CLUB_TYPES);
     this.currentIndex = 0;
+    this.currentSpin = SPIN_TYPES.NONE; // Spin for the next shot
   }
 
   // Get current club type
@@ -66,6 +76,11 @@ export class ClubManager {
     if (CLUB_PROPERTIES[clubType]) {
       this.currentClub = clubType;
       this.currentIndex = this.clubs.indexOf(clubType);
+      
+      // New club may not play the chosen spin
+      if (!CLUB_PROPERTIES[clubType].spins.includes(this.currentSpin)) {
+        this.currentSpin = SPIN_TYPES.NONE;
+      }
       return true;
     }
     return false;
@@ -98,6 +113,27 @@ export class ClubManager {
     return this.currentClub;
   }
 
+  // Get the spin chosen for the next shot
+  getSpin() {
+    return this.currentSpin;
+  }
+
+  // Choose a spin for the next shot (only ones the current club can play)
+  selectSpin(spinType) {
+    if (this.getCurrentClubProperties().spins.includes(spinType)) {
+      this.currentSpin = spinType;
+      return true;
+    }
+    return false;
+  }
+
+  // Cycle through the spins the current club can play
+  nextSpin() {
+    const spins = this.getCurrentClubProperties().spins;
+    this.currentSpin = spins[(spins.indexOf(this.currentSpin) + 1) % spins.length];
+    return this.currentSpin;
+  }
+
   // Get club info for display
   getClubInfo() {
     const props = this.getCurrentClubProperties();
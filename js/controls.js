@@ -11,9 +11,11 @@ export function setupWASD(scene) {
     three: Phaser.Input.Keyboard.KeyCodes.THREE,
     four: Phaser.Input.Keyboard.KeyCodes.FOUR,
     shift: Phaser.Input.Keyboard.KeyCodes.SHIFT,
+    b: Phaser.Input.Keyboard.KeyCodes.B,
     c: Phaser.Input.Keyboard.KeyCodes.C,
     r: Phaser.Input.Keyboard.KeyCodes.R,
     p: Phaser.Input.Keyboard.KeyCodes.P,
+    u: Phaser.Input.Keyboard.KeyCodes.U,
     k: Phaser.Input.Keyboard.KeyCodes.K,
     e: Phaser.Input.Keyboard.KeyCodes.E,
     esc: Phaser.Input.Keyboard.KeyCodes.ESC,
@@ -0,0 +1,37 @@
+/**
+ * Difficulty levels - how much aim assist the player gets while charging a shot
+ */
+
+export const DIFFICULTY_LEVELS = {
+  easy: {
+    name: 'Easy',
+    previewFraction: 1.0, // Whole arc shown
+    showLandingMarker: true, // Landing spot and carry yardage
+    previewWind: true // Arc bends with the wind
+  },
+  normal: {
+    name: 'Normal',
+    previewFraction: 0.4, // Only the start of the arc
+    showLandingMarker: false,
+    previewWind: false
+  },
+  hard: {
+    name: 'Hard',
+    previewFraction: 0, // No preview
+    showLandingMarker: false,
+    previewWind: false
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Get a difficulty level's settings, falling back to the default for unknown keys
+export function getDifficulty(key) {
+  return DIFFICULTY_LEVELS[key] || DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY];
+}
+
+// Get the key of the next difficulty level (wraps around, for menu cycling)
+export function getNextDifficulty(key) {
+  const keys = Object.keys(DIFFICULTY_LEVELS);
+  return keys[(keys.indexOf(key) + 1) % keys.length];
+}
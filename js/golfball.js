@@ -1,6 +1,23 @@
 /**
  * Golf Ball class for managing golf ball physics and behavior
  */
+import { SeededRandom } from './random.js';
+import { SURFACE_TYPES, getGreenHoldingSlope } from './surfaces.js';
+import { CUP_RESULTS } from './Cup.js';
+import { RELIEF_OPTIONS, getPenaltyReliefOptions, getUnplayableLieOptions } from './PenaltyRelief.js';
+import { SPIN_TYPES, SPIN_SETTINGS, getLaunchSpin, getLandingSpinFactor } from './spin.js';
+import { OBSTACLE_SHED_SPEED } from './Obstacle.js';
+
+// Structure walls and ceilings: how much of the ball's speed into them comes back, and of its speed along them is kept
+const STRUCTURE_WALL_BOUNCE = 0.5;
+const STRUCTURE_WALL_GRIP = 0.8;
+
+// Share of the ball's speed along a trunk, fence or rock it keeps when it hits one (each type sets its own bounce)
+const OBSTACLE_GRIP = 0.8;
+
+// Furthest the ball moves in a step (max velocity 1500 at 60Hz is 25px) - anything more is a jump
+const STRUCTURE_SWEEP_LIMIT = 60;
+
 export class GolfBall {
   constructor(scene, x = 200, y = 630) {
     this.scene = scene;
@@ -28,19 +45,29 @@ export class GolfBall {
     // Hole completion state
     this.holeCompleted = false;
     
-    // Backspin properties
-    this.hasBackspin = false;
-    this.backspinApplied = false;
+    // Spin properties (see spin.js)
+    this.spin = { back: 0, side: 0 }; // Spin left on the ball, worn down as it flies and rolls
+    this.spinDirection = 1; // Direction the spinning shot was hit (-1 left, 1 right)
+    this.spinAirborne = false; // Ball has been in the air since the shot, so the next contact is a landing
+    this.spinLift = 100; // Upward pull (px/s²) of full backspin at full speed (topspin pulls down)
+    this.spinCurveDrag = 60; // Forward speed (px/s²) full sidespin costs as the ball curves off line
+    this.spinRollForce = 250; // Pull (px/s²) of full backspin on a rolling ball, towards the player
+    this.spinAirDecay = 0.15; // Share of spin worn off per second in the air
+    this.spinGroundDecay = 3; // Share of spin worn off per second on the ground
     
     // Wind effect properties
-    this.windSystem = null; // Will be set by GameScene
+    this.windSystem = null; // Will be set by HoleScene
+    
+    // Random source for shot variation (seeded by the scene so rounds can be replayed)
+    this.random = new SeededRandom();
     
     // Terrain properties
-    this.terrain = null; // Will be set by GameScene
+    this.terrain = null; // Will be set by HoleScene
     this.groundRadius = 12; // Ball radius for ground collision
     
     // Approach direction tracking for water drops
     this.previousPosition = { x: x, y: y };
+    this.lastStepPosition = null; // Where the last physics step left the ball (for structure collision)
     this.approachDirection = 'right'; // Default direction (left to right)
     
     // Bounce detection
@@ -48,27 +75,46 @@ export class GolfBall {
     this.wasInAir = false;
     
     // Sound properties
-    this.hitSound = null; // Will be set by GameScene
-    this.puttSound = null; // Will be set by GameScene
-    this.swooshSound = null; // Will be set by GameScene
-    this.splashSound = null; // Will be set by GameScene
-    this.bounceSound = null; // Will be set by GameScene
-    this.clapSound = null; // Will be set by GameScene
-    this.cheerSound = null; // Will be set by GameScene
+    this.hitSound = null; // Will be set by HoleScene
+    this.puttSound = null; // Will be set by HoleScene
+    this.swooshSound = null; // Will be set by HoleScene
+    this.splashSound = null; // Will be set by HoleScene
+    this.bounceSound = null; // Will be set by HoleScene
+    this.clapSound = null; // Will be set by HoleScene
+    this.cheerSound = null; // Will be set by HoleScene
+    this.cupSound = null; // Will be set by HoleScene (rattle off the rim or flagstick)
     
     // Camera callback properties
-    this.onBallHitCallback = null; // Will be set by GameScene
+    this.onBallHitCallback = null; // Will be set by HoleScene
     
     // Water hazard properties
-    this.originalPosition = { x: x, y: y }; // Store original position for water penalty
-    this.onWaterPenaltyCallback = null; // Will be set by GameScene
+    this.onWaterPenaltyCallback = null; // Will be set by HoleScene
+    this.onPenaltyAreaCallback = null; // Will be set by HoleScene (offers the relief options)
+    this.reliefOptions = null; // Relief options while the player chooses, ball waits where it is
+    this.reliefReason = null; // 'penaltyArea' or 'unplayable' while relief is being taken
+    this.onStuckInTreeCallback = null; // Will be set by HoleScene (offers the unplayable relief options)
+    this.lodgedPosition = null; // Where the ball is held up in a tree until relief is taken
     
     // Hole completion callback
-    this.onHoleCompletedCallback = null; // Will be set by GameScene
+    this.onHoleCompletedCallback = null; // Will be set by HoleScene
+    
+    // Near-miss callbacks (lip-outs and hops over the cup, flagstick hits)
+    this.onLipOutCallback = null; // Will be set by HoleScene
+    this.onFlagstickCallback = null; // Will be set by HoleScene
+    
+    // Out of bounds and lost ball (stroke and distance)
+    this.shotOrigin = { x: x, y: y }; // Where the last shot was played from
+    this.shotTime = 0; // Time in ms the ball has been moving since the shot
+    this.maxShotTime = 20000; // A ball still creeping after this long is brought to rest where it is
+    this.onOutOfBoundsCallback = null; // Will be set by HoleScene
     
     // Conversion: More pixels per yard for finer granularity
     // 20 pixels per yard means 200 yards = 4000 pixels
     this.pixelsPerYard = 20;
+
+    // Pull of gravity (px/s²) down green slopes - enough to speed a putt up down any
+    // slope steeper than the green holds a ball on
+    this.greenSlopeGravity = 2000;
     
     // Create golf ball as a simple white circle
     this.sprite = scene.add.circle(x, y, 12, 0xffffff);
@@ -90,21 +136,30 @@ export class GolfBall {
     
     // Handle world bounds collision to prevent top collision bounce
     this.sprite.body.onWorldBounds = true;
-    this.sprite.body.world.on('worldbounds', (event) => {
+    this.worldBoundsHandler = (event) => {
       if (event.body === this.sprite.body) {
         // If hitting the top boundary, don't bounce - let it continue
         if (event.position.y <= this.scene.physics.world.bounds.y) {
           event.body.setVelocityY(Math.abs(event.body.velocity.y)); // Continue downward
         }
       }
-    });
+    };
+    this.sprite.body.world.on('worldbounds', this.worldBoundsHandler);
     
-    // Make resetBall command available globally for debugging
-    window.resetBall = () => this.resetBall();
+    // Make resetBall command available globally for debugging (not in headless simulations)
+    if (typeof window !== 'undefined') {
+      window.resetBall = () => this.resetBall();
+    }
     
     console.log('Golf ball initialized. Use resetBall() in console to reset ball position.');
   }
 
+  // Remove the ball and its world bounds listener from the scene (a provisional's original once it's decided)
+  destroy() {
+    this.sprite.body.world.off('worldbounds', this.worldBoundsHandler);
+    this.sprite.destroy();
+  }
+
   // Get ball position
   get x() {
     return this.sprite.x;
@@ -124,6 +179,11 @@ export class GolfBall {
     this.windSystem = windSystem;
   }
 
+  // Set random source for shot variation
+  setRandom(random) {
+    this.random = random;
+  }
+
   // Set terrain system reference
   setTerrain(terrain) {
     this.terrain = terrain;
@@ -163,21 +223,233 @@ export class GolfBall {
     this.cheerSound = cheerSound;
   }
 
+  // Set cup sound reference (lip-outs and flagstick hits)
+  setCupSound(cupSound) {
+    this.cupSound = cupSound;
+  }
+
   // Set callback for when ball gets hit (for camera switching)
   setOnBallHitCallback(callback) {
     this.onBallHitCallback = callback;
   }
 
-  // Set water penalty callback
+  // Set water penalty callback (called with the relief option once the ball is dropped)
   setOnWaterPenaltyCallback(callback) {
     this.onWaterPenaltyCallback = callback;
   }
 
+  // Set penalty area callback (called with the relief options, the player picks one with takeRelief)
+  // Without it the ball is dropped back on the line straight away
+  setOnPenaltyAreaCallback(callback) {
+    this.onPenaltyAreaCallback = callback;
+  }
+
   // Set hole completed callback
   setOnHoleCompletedCallback(callback) {
     this.onHoleCompletedCallback = callback;
   }
 
+  // Set out of bounds callback (called with 'outOfBounds', or 'lost' for a ball that reached the
+  // edge of the world, after the ball is replayed)
+  setOnOutOfBoundsCallback(callback) {
+    this.onOutOfBoundsCallback = callback;
+  }
+
+  // Set lip-out callback (called with CUP_RESULTS.LIP_OUT or CUP_RESULTS.HOPPED)
+  setOnLipOutCallback(callback) {
+    this.onLipOutCallback = callback;
+  }
+
+  // Set flagstick hit callback
+  setOnFlagstickCallback(callback) {
+    this.onFlagstickCallback = callback;
+  }
+
+  // Set stuck in a tree callback (called with the unplayable relief options and the tree)
+  // The player picks one with takeRelief, and whoever offered them adds the penalty stroke
+  setOnStuckInTreeCallback(callback) {
+    this.onStuckInTreeCallback = callback;
+  }
+
+  // Run one fixed physics step of ball behaviour (deltaTime in ms)
+  // Shared by HoleScene and the headless BallSimulation so both fly the same ball
+  fixedUpdate(deltaTime, clubType = null) {
+    // Ball sits in the water (or up a tree) until the player takes relief
+    if (this.reliefOptions) {
+      if (this.lodgedPosition) {
+        this.sprite.body.setVelocity(0, 0);
+        this.sprite.setPosition(this.lodgedPosition.x, this.lodgedPosition.y);
+      }
+      return;
+    }
+    
+    // Land on, and bounce off, structures the ball ran into this step
+    this.collideWithStructures();
+    
+    // Bounce off trunks, fences and rocks, and clip branches on the way through
+    this.collideWithObstacles(deltaTime);
+    
+    // Update terrain physics for ball
+    this.updateTerrainPhysics();
+    
+    // Additional fall-through prevention check
+    this.preventFallThrough();
+
+    // Apply wind effects to ball during flight
+    this.applyWindEffects();
+
+    // Apply ground friction when ball is rolling (club changes the friction)
+    this.applyGroundFriction(clubType);
+
+    // Let green contours break and speed up or slow down a rolling ball
+    this.applyGreenSlope(deltaTime);
+
+    // Spin lifts and curves the ball in the air, then grips on landing and rolling
+    this.applySpin(deltaTime);
+
+    // Update distance tracking
+    this.updateDistance(deltaTime);
+    
+    // Always check for ball stabilization (even when not tracking distance)
+    this.isStablyStopped(deltaTime);
+    
+    // Check for water collision (runs every step)
+    this.checkWaterCollision();
+    
+    // Check for the ball going out of bounds or being lost
+    this.checkOutOfBounds(deltaTime);
+    
+    // Check for bunker collision (runs every step)
+    this.checkBunkerCollision();
+    
+    // Check for the ball dropping, lipping out or hitting the flagstick (runs every step)
+    this.checkCupCollision();
+  }
+
+  // Stop the ball at the first structure edge it crossed since the last step (swept, so a
+  // fast ball can't skip through a thin bridge). Tops catch it like the ground does;
+  // walls and ceilings knock it back
+  collideWithStructures() {
+    const from = this.lastStepPosition;
+    const to = { x: this.sprite.x, y: this.sprite.y };
+    this.lastStepPosition = to;
+    
+    // Nothing to sweep after a jump (a reset or a drop moves the ball further than a step)
+    if (!from || this.isStabilized || !this.terrain || !this.terrain.collideCircle ||
+        Math.hypot(to.x - from.x, to.y - from.y) > STRUCTURE_SWEEP_LIMIT) {
+      return;
+    }
+    
+    const hit = this.terrain.collideCircle(from, to, this.groundRadius);
+    if (!hit) return;
+    
+    this.sprite.setPosition(hit.x, hit.y);
+    this.lastStepPosition = { x: hit.x, y: hit.y };
+    
+    // Same landing bounce as the terrain gives (none unless it comes down fast)
+    const vel = this.sprite.body.velocity;
+    const normalSpeed = vel.x * hit.normal.x + vel.y * hit.normal.y;
+    const bounce = hit.isGround
+      ? (normalSpeed < -200 ? 0.3 * this.getLie().bounce : 0)
+      : STRUCTURE_WALL_BOUNCE;
+    const grip = hit.isGround ? 1 : STRUCTURE_WALL_GRIP;
+    
+    if (this.bounceOff(hit.normal, bounce, grip) && !hit.isGround) {
+      console.log(`Ball hit a structure wall at x=${Math.round(hit.x)}, y=${Math.round(hit.y)}`);
+    }
+  }
+
+  // Knock the ball back off a surface facing normal: bounce is the share of its speed into
+  // the surface it comes back with, grip the share of its speed along the surface it keeps
+  // Returns false if the ball was already moving away
+  bounceOff(normal, bounce, grip) {
+    const vel = this.sprite.body.velocity;
+    const normalSpeed = vel.x * normal.x + vel.y * normal.y;
+    if (normalSpeed >= 0) return false;
+    
+    const tangentX = vel.x - normalSpeed * normal.x;
+    const tangentY = vel.y - normalSpeed * normal.y;
+    this.sprite.body.setVelocity(
+      tangentX * grip - normalSpeed * bounce * normal.x,
+      tangentY * grip - normalSpeed * bounce * normal.y
+    );
+    return true;
+  }
+
+  // Bounce off the solid parts of obstacles (trunks, fences, rocks), then clip branches
+  collideWithObstacles(deltaTime) {
+    if (this.isStabilized || !this.terrain || !this.terrain.getObstacleContact) {
+      return;
+    }
+    
+    const contact = this.terrain.getObstacleContact(this.sprite.x, this.sprite.y, this.groundRadius);
+    if (contact) {
+      const { obstacle, normal } = contact;
+      this.sprite.setPosition(contact.x, contact.y);
+      this.lastStepPosition = { x: contact.x, y: contact.y };
+      
+      if (this.bounceOff(normal, obstacle.bounce, OBSTACLE_GRIP)) {
+        console.log(`Ball hit a ${obstacle.type} at x=${Math.round(contact.x)}, y=${Math.round(contact.y)}`);
+        if (this.bounceSound) {
+          this.bounceSound.play();
+        }
+      }
+      
+      // Nothing stops on top of a trunk, fence post or rock - roll a slow ball off the side
+      const vel = this.sprite.body.velocity;
+      if (normal.y < -0.7 && Math.abs(vel.x) < OBSTACLE_SHED_SPEED) {
+        const side = normal.x !== 0 ? Math.sign(normal.x) : (this.sprite.x < obstacle.x ? -1 : 1);
+        this.sprite.body.setVelocityX(side * OBSTACLE_SHED_SPEED);
+      }
+    }
+    
+    this.clipBranches(deltaTime);
+  }
+
+  // Chance of clipping a branch while flying through a tree or shrub (deltaTime in ms)
+  // A clip costs speed and knocks the ball off at a random angle, and a slow ball can stay in the tree
+  clipBranches(deltaTime) {
+    if (!this.isTracking || !this.terrain.getBranchesAt) {
+      return;
+    }
+    
+    const obstacle = this.terrain.getBranchesAt(this.sprite.x, this.sprite.y);
+    if (!obstacle) return;
+    
+    // The further it flies through the branches the more likely it hits one
+    const vel = this.sprite.body.velocity;
+    const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+    const distance = speed * (deltaTime / 1000);
+    if (this.random.next() >= 1 - Math.exp(-distance * obstacle.branchDensity)) {
+      return;
+    }
+    
+    const { min, max } = obstacle.speedLoss;
+    const newSpeed = speed * (1 - (min + this.random.next() * (max - min)));
+    const angle = Math.atan2(vel.y, vel.x) + (this.random.next() * 2 - 1) * obstacle.deflection;
+    this.sprite.body.setVelocity(Math.cos(angle) * newSpeed, Math.sin(angle) * newSpeed);
+    console.log(`Ball clipped the ${obstacle.type} at x=${Math.round(this.sprite.x)}: ${Math.round(speed)} -> ${Math.round(newSpeed)} px/s`);
+    
+    if (newSpeed < obstacle.stickSpeed && this.random.next() < obstacle.stickChance) {
+      this.lodgeInTree(obstacle);
+    }
+  }
+
+  // Ball stays up in the branches - unplayable, so the player takes relief with a penalty stroke
+  lodgeInTree(obstacle) {
+    console.log(`Ball stuck in the ${obstacle.type} at x=${Math.round(this.sprite.x)}, y=${Math.round(this.sprite.y)}`);
+    
+    this.sprite.body.setVelocity(0, 0);
+    this.stopDistanceTracking();
+    this.lodgedPosition = { x: this.sprite.x, y: this.sprite.y };
+    this.reliefOptions = getUnplayableLieOptions(this.terrain, { x: this.sprite.x, shotOrigin: this.shotOrigin });
+    this.reliefReason = 'unplayable';
+    
+    if (this.onStuckInTreeCallback) {
+      this.onStuckInTreeCallback(this.reliefOptions, obstacle);
+    }
+  }
+
   // Apply wind effects during flight
   applyWindEffects() {
     // Don't apply wind to stabilized balls
@@ -203,6 +475,86 @@ export class GolfBall {
     }
   }
 
+  // Roll the ball along a contoured green (deltaTime in ms)
+  // Gravity pulls it down the slope at any speed, so putts run out downhill and
+  // die uphill; green speed (stimp) decides how far it keeps going
+  applyGreenSlope(deltaTime) {
+    if (this.isStabilized || !this.terrain || !this.isOnGreen()) {
+      return;
+    }
+
+    // Only while rolling - not on the way down from a chip
+    const vel = this.sprite.body.velocity;
+    const ballBottom = this.sprite.y + this.groundRadius;
+    if (Math.abs(vel.y) > 50 || ballBottom < this.getGroundHeight() - 5) {
+      return;
+    }
+
+    const slope = this.getGroundSlope();
+    const seconds = deltaTime / 1000;
+    let velocityX = vel.x + slope * this.greenSlopeGravity * seconds;
+
+    // Rolling resistance slows the ball at any speed, less on a faster green, and
+    // beats gravity on any slope the green can hold a ball on
+    const resistance = getGreenHoldingSlope(this.terrain.greenStimp) * this.greenSlopeGravity * seconds;
+    velocityX = Math.abs(velocityX) <= resistance ? 0 : velocityX - Math.sign(velocityX) * resistance;
+
+    this.sprite.body.setVelocityX(velocityX);
+  }
+
+  // Apply the ball's spin for one step (deltaTime in ms)
+  // In the air backspin lifts (topspin drops) and sidespin costs forward speed as the ball
+  // curves; the first contact after flying takes the landing spin, and what's left keeps
+  // pulling a rolling ball back (or pushing it on) while it wears off
+  applySpin(deltaTime) {
+    if (this.isStabilized || !this.terrain || (this.spin.back === 0 && this.spin.side === 0)) {
+      return;
+    }
+    
+    const seconds = deltaTime / 1000;
+    const vel = this.sprite.body.velocity;
+    const ballBottom = this.sprite.y + this.groundRadius;
+    const onGround = ballBottom >= this.getGroundHeight() - 5;
+    
+    if (!onGround) {
+      const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+      const lift = this.spinLift * this.spin.back * Math.min(speed / 1000, 1);
+      const curveLoss = this.spinCurveDrag * Math.abs(this.spin.side) * seconds;
+      const velocityX = Math.abs(vel.x) <= curveLoss ? 0 : vel.x - Math.sign(vel.x) * curveLoss;
+      
+      this.sprite.body.setVelocity(velocityX, vel.y - lift * seconds);
+      this.spinAirborne = true;
+      this.decaySpin(this.spinAirDecay * seconds);
+      return;
+    }
+    
+    const grip = this.getLie().spinGrip;
+    
+    if (this.spinAirborne) {
+      // Landing - backspin kills the forward bounce, topspin keeps it low and running
+      this.spinAirborne = false;
+      const factor = getLandingSpinFactor(this.spin, grip);
+      const bounceY = this.spin.back < 0 && vel.y < 0 ? vel.y * (1 + 0.4 * this.spin.back) : vel.y;
+      this.sprite.body.setVelocity(vel.x * factor, bounceY);
+      console.log(`Spin on landing (back ${this.spin.back.toFixed(2)}, side ${this.spin.side.toFixed(2)}, grip ${grip}): speed x${factor.toFixed(2)}`);
+      
+      // Most of the spin is used up biting into the surface
+      this.decaySpin(0.6 * grip);
+      return;
+    }
+    
+    // Rolling - backspin keeps drawing the ball back towards the player, topspin pushes it on
+    this.sprite.body.setVelocityX(vel.x - this.spinDirection * this.spinRollForce * this.spin.back * grip * seconds);
+    this.decaySpin(this.spinGroundDecay * seconds);
+  }
+
+  // Wear off a share of the ball's spin (spin that's nearly gone stops altogether)
+  decaySpin(share) {
+    const remaining = Math.max(0, 1 - share);
+    this.spin.back = Math.abs(this.spin.back * remaining) < 0.01 ? 0 : this.spin.back * remaining;
+    this.spin.side = Math.abs(this.spin.side * remaining) < 0.01 ? 0 : this.spin.side * remaining;
+  }
+
   // Apply ground friction when ball is rolling
   applyGroundFriction(clubType = null) {
     // Don't apply friction to stabilized balls
@@ -224,16 +576,6 @@ export class GolfBall {
     if (isOnGround) {
       const horizontalVel = this.sprite.body.velocity.x;
       
-      // Apply backspin effect immediately when ball hits ground
-      if (this.hasBackspin && !this.backspinApplied) {
-        // Apply strong reverse momentum for backspin effect
-        const backspinForce = -horizontalVel * 0.8; // Reverse 80% of velocity
-        this.sprite.body.setVelocityX(backspinForce);
-        this.backspinApplied = true;
-        console.log('Backspin applied! Ball rolling backwards...');
-        return; // Skip normal friction on first backspin application
-      }
-      
       // Apply rolling friction only to horizontal movement
       if (Math.abs(horizontalVel) > 0) {
         // Different friction based on club type and terrain - much lower overall
@@ -248,10 +590,8 @@ export class GolfBall {
           friction = 0.999; // Minimal friction for putter shots (maximum rolling distance)
         }
         
-        // Apply additional friction if on green (putting surface)
-        if (this.terrain && this.terrain.isBallOnGreen(this.sprite.x)) {
-          friction *= 0.95; // Slightly more friction on the green (reduced penalty)
-        }
+        // Surface the ball is rolling on (rough grabs it, cart path lets it run)
+        friction = Math.min(friction * this.getLie().rollFriction, 0.999);
         
         this.sprite.body.setVelocityX(horizontalVel * friction);
         
@@ -275,7 +615,7 @@ export class GolfBall {
   }
 
   // Check if player can hit the ball and handle the hit
-  checkHit(player, clubManager = null, keys = null) {
+  checkHit(player, clubManager = null) {
     // Calculate distance between player and ball
     const distance = Phaser.Math.Distance.Between(
       player.x, player.y,
@@ -297,11 +637,13 @@ export class GolfBall {
         if (!this.hitRecently) {
           const powerMultiplier = player.getCurrentPower();
           
-          // Check for backspin (Ctrl + Wedge only)
-          const isBackspin = keys && keys.ctrl.isDown && 
-                            clubManager && clubManager.getCurrentClub() === 'wedge';
+          // Spin the player chose for this shot
+          const spinType = clubManager ? clubManager.getSpin() : SPIN_TYPES.NONE;
+          
+          // Three-click swings carry a strike quality instead of random variation
+          const strike = player.getStrike ? player.getStrike() : null;
           
-          this.hit(player, clubManager, powerMultiplier, isBackspin);
+          this.hit(player, clubManager, powerMultiplier, spinType, strike);
           this.hitRecently = true;
           
           // Prevent swoosh sound from playing during this swing since ball was hit
@@ -326,10 +668,20 @@ export class GolfBall {
   }
 
   // Hit the ball with realistic golf physics
-  hit(player, clubManager = null, powerMultiplier = 1.0, hasBackspin = false) {
+  // spinType is one of SPIN_TYPES (scaled by the club's spinAmount)
+  // strike ({ type, powerMultiplier, launchMultiplier }) comes from the three-click swing meter
+  hit(player, clubManager = null, powerMultiplier = 1.0, spinType = SPIN_TYPES.NONE, strike = null) {
     // Reset enemy hit flag when player hits the ball
     this.hitByEnemy = false;
     
+    // Remember where this shot is played from, for stroke and distance
+    this.shotOrigin = { x: this.sprite.x, y: this.sprite.y };
+    
+    // New shot gets a fresh look at the cup
+    if (this.terrain && this.terrain.cup) {
+      this.terrain.cup.reset();
+    }
+    
     // Calculate hit direction based on player facing direction
     const hitDirection = player.flipX ? -1 : 1;
     
@@ -346,17 +698,27 @@ export class GolfBall {
       clubProps = clubManager.getCurrentClubProperties();
     }
     
+    // Lie the ball is hit from (rough costs power and accuracy)
+    const lie = this.getLie();
+    
     // Apply power multiplier from charging system
-    const totalPowerMultiplier = clubProps.power * powerMultiplier;
+    const totalPowerMultiplier = clubProps.power * powerMultiplier * lie.power;
     
-    // Add realistic shot variation (±5-10% depending on club)
-    const variationRange = clubProps.name === 'Driver' ? 0.08 : // ±8% for driver
+    // Add realistic shot variation (±5-10% depending on club), wider from a bad lie
+    const variationRange = (clubProps.name === 'Driver' ? 0.08 : // ±8% for driver
                           clubProps.name === 'Iron' ? 0.04 :    // ±4% for iron (most accurate)
                           clubProps.name === 'Wedge' ? 0.05 :   // ±5% for wedge (more precise)
-                          0.06; // ±6% for putter
+                          0.06) * lie.accuracy; // ±6% for putter
+    
+    let powerVariation = 1 + (this.random.next() - 0.5) * 2 * variationRange;
+    let angleVariation = 1 + (this.random.next() - 0.5) * 2 * (variationRange * 0.5); // Less angle variation
     
-    const powerVariation = 1 + (Math.random() - 0.5) * 2 * variationRange;
-    const angleVariation = 1 + (Math.random() - 0.5) * 2 * (variationRange * 0.5); // Less angle variation
+    // With the three-click meter accuracy comes from the player's timing instead
+    // (a bad lie makes a mistimed strike worse)
+    if (strike) {
+      powerVariation = 1 - (1 - strike.powerMultiplier) * lie.accuracy;
+      angleVariation = 1 - (1 - strike.launchMultiplier) * lie.accuracy;
+    }
     
     // Calculate launch velocities with variation
     const launchVelocityX = hitDirection * clubProps.horizontalPower * totalPowerMultiplier * powerVariation;
@@ -385,23 +747,83 @@ export class GolfBall {
       this.onBallHitCallback();
     }
     
-    // Set backspin properties
-    this.hasBackspin = hasBackspin;
-    this.backspinApplied = false;
-    
-    // Reduce bounce for backspin shots
-    if (hasBackspin) {
-      this.sprite.body.setBounce(0.2); // Much less bouncy for backspin shots
-    } else {
-      this.sprite.body.setBounce(0.7); // Normal bounce for regular shots
-    }
+    // Put spin on the ball (clubs that can't play the spin hit it without)
+    const spinAmount = clubProps.spins && clubProps.spins.includes(spinType) ? clubProps.spinAmount : 0;
+    this.spin = getLaunchSpin(spinType, spinAmount);
+    this.spinDirection = hitDirection;
+    this.spinAirborne = false;
     
     // Start distance tracking
     this.startDistanceTracking();
     
     const powerPercent = Math.round(powerMultiplier * 100);
-    const backspinText = hasBackspin ? ' with BACKSPIN' : '';
-    console.log(`Ball hit with ${clubProps.name} at ${powerPercent}% power${backspinText}! ${clubProps.canFly ? 'Flying through the air' : 'Rolling on the ground'}...`);
+    const spinText = this.spin.back !== 0 || this.spin.side !== 0 ? ` with ${SPIN_SETTINGS[spinType].name.toLowerCase()}` : '';
+    const strikeText = strike ? ` (${strike.type} strike)` : '';
+    console.log(`Ball hit with ${clubProps.name} from the ${lie.name.toLowerCase()} at ${powerPercent}% power${spinText}${strikeText}! ${clubProps.canFly ? 'Flying through the air' : 'Rolling on the ground'}...`);
+  }
+
+  // Predict where a shot would fly (without shot variation) for the aim preview
+  // Steps the same gravity, drag, max velocity, wind and spin as the physics, stopping at the first landing
+  predictTrajectory(clubProps, powerMultiplier, direction = 1, includeWind = true, spinType = SPIN_TYPES.NONE) {
+    if (!clubProps.canFly || !this.terrain) return null;
+    
+    const body = this.sprite.body;
+    const gravityY = this.scene.physics.world.gravity.y + body.gravity.y;
+    const wind = includeWind && this.windSystem ? this.windSystem.getWindEffect() : { x: 0, y: 0 };
+    const delta = 1 / 60; // Fixed physics step
+    const maxSteps = 600; // 10 seconds of flight
+    
+    // Drag slows each axis towards zero by a fixed amount per second
+    const applyDrag = (velocity, amount) => {
+      if (velocity - amount > 0) return velocity - amount;
+      if (velocity + amount < 0) return velocity + amount;
+      return 0;
+    };
+    
+    const totalPowerMultiplier = clubProps.power * powerMultiplier;
+    let velocityX = direction * clubProps.horizontalPower * totalPowerMultiplier;
+    let velocityY = clubProps.launchAngle * totalPowerMultiplier;
+    let x = this.sprite.x;
+    let y = this.sprite.y;
+    const points = [{ x, y }];
+    const spin = getLaunchSpin(spinType, clubProps.spins && clubProps.spins.includes(spinType) ? clubProps.spinAmount : 0);
+    
+    for (let step = 0; step < maxSteps; step++) {
+      velocityY += gravityY * delta;
+      velocityX = Math.max(-body.maxVelocity.x, Math.min(body.maxVelocity.x, applyDrag(velocityX, body.drag.x * delta)));
+      velocityY = Math.max(-body.maxVelocity.y, Math.min(body.maxVelocity.y, applyDrag(velocityY, body.drag.y * delta)));
+      x += velocityX * delta;
+      y += velocityY * delta;
+      points.push({ x, y });
+      
+      // Landed once the ball comes back down to the ground (or a structure's top)
+      const terrainHeight = this.terrain.getGroundHeightAt(x, y + this.groundRadius);
+      if (velocityY > 0 && y + this.groundRadius >= terrainHeight) {
+        const landing = { x, y: terrainHeight - this.groundRadius };
+        return {
+          points: points,
+          landing: landing,
+          carry: this.pixelsToYards(Math.abs(landing.x - this.sprite.x))
+        };
+      }
+      
+      // Same wind nudge as applyWindEffects
+      const ballSpeed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+      const windInfluence = 0.015 * Math.min(ballSpeed / 500, 1.2);
+      velocityX += wind.x * windInfluence;
+      velocityY += wind.y * windInfluence;
+      
+      // Same lift, curve and wear as applySpin
+      const lift = this.spinLift * spin.back * Math.min(ballSpeed / 1000, 1);
+      const curveLoss = this.spinCurveDrag * Math.abs(spin.side) * delta;
+      velocityX = Math.abs(velocityX) <= curveLoss ? 0 : velocityX - Math.sign(velocityX) * curveLoss;
+      velocityY -= lift * delta;
+      spin.back *= 1 - this.spinAirDecay * delta;
+      spin.side *= 1 - this.spinAirDecay * delta;
+    }
+    
+    // Never came down (e.g. flew off the end of the hole)
+    return { points: points, landing: null, carry: null };
   }
 
   // Reset ball to a specific position
@@ -431,10 +853,9 @@ export class GolfBall {
     // Reset stabilization
     this.unstabilizeBall();
     
-    // Reset backspin state and bounce
-    this.hasBackspin = false;
-    this.backspinApplied = false;
-    this.sprite.body.setBounce(0.7); // Reset to normal bounce
+    // Reset spin
+    this.spin = { back: 0, side: 0 };
+    this.spinAirborne = false;
     
     // Reset hole completion state
     this.holeCompleted = false;
@@ -471,16 +892,17 @@ export class GolfBall {
     if (horizontalVel < 15) {
       // Check if ball is on terrain before stabilizing
       if (this.terrain) {
-        const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+        const terrainHeight = this.getGroundHeight();
         const ballBottom = this.sprite.y + this.groundRadius;
         
         // Check terrain slope - don't stabilize on steep slopes
-        const slope = this.terrain.getSlopeAtX(this.sprite.x);
-        const isOnSteepSlope = Math.abs(slope) > 0.15; // Higher threshold - only prevent stabilization on actually steep slopes
+        const slope = this.getGroundSlope();
+        const holdingSlope = this.getHoldingSlope();
+        const isOnSteepSlope = Math.abs(slope) > holdingSlope; // Higher threshold - only prevent stabilization on actually steep slopes
         
         // Debug logging for slope detection
         if (Math.abs(slope) > 0.02) {
-          console.log(`Slope detection: slope=${slope.toFixed(3)}, isSteep=${isOnSteepSlope}, threshold=0.15`);
+          console.log(`Slope detection: slope=${slope.toFixed(3)}, isSteep=${isOnSteepSlope}, threshold=${holdingSlope.toFixed(3)}`);
         }
         
         // Only stabilize if ball is close to terrain surface AND not on steep slope
@@ -511,12 +933,12 @@ export class GolfBall {
       if (this.stableStopTimer >= 150) {
         // Check if ball is on terrain before stabilizing
         if (this.terrain) {
-          const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+          const terrainHeight = this.getGroundHeight();
           const ballBottom = this.sprite.y + this.groundRadius;
           
           // Check terrain slope - don't stabilize on steep slopes
-          const slope = this.terrain.getSlopeAtX(this.sprite.x);
-          const isOnSteepSlope = Math.abs(slope) > 0.15; // Higher threshold - only prevent stabilization on actually steep slopes
+          const slope = this.getGroundSlope();
+          const isOnSteepSlope = Math.abs(slope) > this.getHoldingSlope(); // Higher threshold - only prevent stabilization on actually steep slopes
           
           // Only stabilize if ball is close to terrain surface AND not on steep slope
           if (ballBottom >= terrainHeight - 5 && !isOnSteepSlope) {
@@ -548,7 +970,7 @@ export class GolfBall {
   stabilizeBall() {
     // Ensure ball is on terrain surface before stabilizing
     if (this.terrain) {
-      const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+      const terrainHeight = this.getGroundHeight();
       const targetY = terrainHeight - this.groundRadius;
       
       // Always adjust ball to terrain surface, whether above or below
@@ -599,6 +1021,7 @@ export class GolfBall {
     this.startY = this.sprite.y;
     this.currentDistance = 0;
     this.isTracking = true;
+    this.shotTime = 0;
     
     // Reset stable stop detection
     this.stableStopTimer = 0;
@@ -613,9 +1036,6 @@ export class GolfBall {
   updateDistance(deltaTime = 16) {
     if (!this.isTracking) return;
 
-    // Check for water hazard collision
-    this.checkWaterCollision();
-
     // Calculate distance from starting position
     const distanceX = this.sprite.x - this.startX;
     const distanceY = this.sprite.y - this.startY;
@@ -627,8 +1047,8 @@ export class GolfBall {
     }
   }
 
-  // Check if ball has entered the target circle area
-  checkTargetCircleCollision() {
+  // Check the ball against the cup: drop in, lip out, hop over or hit the flagstick
+  checkCupCollision() {
     // Don't check if hole already completed
     if (this.holeCompleted) {
       return;
@@ -639,49 +1059,77 @@ export class GolfBall {
       return;
     }
     
-    if (this.terrain && this.terrain.isBallInTargetCircle(this.sprite.x, this.sprite.y)) {
-      console.log('HOLE COMPLETED! Ball entered target circle and disappeared!');
-      
-      // Mark hole as completed to prevent multiple triggers
-      this.holeCompleted = true;
-      
-      // Play celebration sound FIRST before doing anything else
-      // Check if this is a hole-in-one (1 stroke) to play appropriate sound
-      const isHoleInOne = this.scene.shotCount === 1;
-      
-      if (isHoleInOne && this.cheerSound) {
-        console.log('Playing cheer sound for hole-in-one...');
-        this.cheerSound.play();
-      } else if (this.clapSound) {
-        console.log('Playing clap sound...');
-        this.clapSound.play();
-      } else {
-        console.log('No celebration sound available!');
+    if (!this.terrain || !this.terrain.cup) {
+      return;
+    }
+    
+    const cup = this.terrain.cup;
+    const result = cup.checkBall(this.sprite.x, this.sprite.y, this.groundRadius, this.sprite.body.velocity);
+    if (!result) {
+      return;
+    }
+    
+    if (result.type !== CUP_RESULTS.HOLED) {
+      // Near miss - ball carries on with the velocity the cup gives it
+      this.sprite.body.setVelocity(result.velocity.x, result.velocity.y);
+      if (this.cupSound) {
+        this.cupSound.play();
       }
       
-      // Stop the ball immediately
-      this.sprite.body.setVelocity(0, 0);
-      this.stopDistanceTracking();
-      
-      // Delay making ball invisible to ensure sound plays
-      this.scene.time.delayedCall(100, () => {
-        this.sprite.setVisible(false);
-        console.log('Ball made invisible after delay');
-      });
-      
-      // Trigger hole completed callback
-      if (this.onHoleCompletedCallback) {
-        this.onHoleCompletedCallback();
+      if (result.type === CUP_RESULTS.FLAGSTICK) {
+        console.log('Ball hit the flagstick!');
+        if (this.onFlagstickCallback) {
+          this.onFlagstickCallback();
+        }
+      } else {
+        console.log(`So close! Ball ${result.type === CUP_RESULTS.LIP_OUT ? 'lipped out' : 'hopped the cup'}`);
+        if (this.onLipOutCallback) {
+          this.onLipOutCallback(result.type);
+        }
       }
-      
       return;
     }
+    
+    console.log('HOLE COMPLETED! Ball dropped into the cup!');
+    
+    // Mark hole as completed to prevent multiple triggers
+    this.holeCompleted = true;
+    
+    // Play celebration sound FIRST before doing anything else
+    // Check if this is a hole-in-one (1 stroke) to play appropriate sound
+    const isHoleInOne = this.scene.shotCount === 1;
+    
+    if (isHoleInOne && this.cheerSound) {
+      console.log('Playing cheer sound for hole-in-one...');
+      this.cheerSound.play();
+    } else if (this.clapSound) {
+      console.log('Playing clap sound...');
+      this.clapSound.play();
+    } else {
+      console.log('No celebration sound available!');
+    }
+    
+    // Stop the ball immediately, sitting in the cup
+    this.sprite.setPosition(cup.x, cup.y - this.groundRadius);
+    this.sprite.body.setVelocity(0, 0);
+    this.stopDistanceTracking();
+    
+    // Delay making ball invisible to ensure sound plays
+    this.scene.time.delayedCall(100, () => {
+      this.sprite.setVisible(false);
+      console.log('Ball made invisible after delay');
+    });
+    
+    // Trigger hole completed callback
+    if (this.onHoleCompletedCallback) {
+      this.onHoleCompletedCallback();
+    }
   }
 
   // Check if ball has landed in water hazard
   checkWaterCollision() {
     if (this.terrain && this.terrain.isBallInWater(this.sprite.x, this.sprite.y)) {
-      console.log('Ball landed in water! Applying penalty stroke...');
+      console.log('Ball landed in water! Penalty area relief with one penalty stroke...');
       
       // Play splash sound
       if (this.splashSound) {
@@ -692,29 +1140,143 @@ export class GolfBall {
       this.sprite.body.setVelocity(0, 0);
       this.stopDistanceTracking();
       
-      // Find a safe drop position near the water hazard
-      const dropPosition = this.findWaterDropPosition();
-      this.sprite.setPosition(dropPosition.x, dropPosition.y);
+      const options = getPenaltyReliefOptions(this.terrain, {
+        x: this.sprite.x,
+        approachDirection: this.approachDirection,
+        shotOrigin: this.shotOrigin
+      });
       
-      // Ensure ball is properly positioned on terrain surface
-      if (this.terrain) {
-        const terrainHeight = this.terrain.getHeightAtX(dropPosition.x);
-        const correctY = terrainHeight - this.groundRadius;
-        this.sprite.setY(correctY);
-        console.log(`Water drop: positioned at x=${Math.round(dropPosition.x)}, y=${Math.round(correctY)} (terrain height: ${Math.round(terrainHeight)})`);
+      if (this.onPenaltyAreaCallback) {
+        this.offerRelief(options);
+      } else {
+        this.reliefOptions = options;
+        this.reliefReason = 'penaltyArea';
+        this.takeRelief(RELIEF_OPTIONS.BACK_ON_LINE);
       }
-      
-      // Stabilize the ball after water drop to prevent falling through
+    }
+  }
+
+  // Hold the ball in the water and let the player choose where to play the next shot from
+  offerRelief(options) {
+    this.reliefOptions = options;
+    this.reliefReason = 'penaltyArea';
+    this.sprite.body.setVelocity(0, 0);
+    this.sprite.setVisible(false);
+    
+    if (this.onPenaltyAreaCallback) {
+      this.onPenaltyAreaCallback(options);
+    }
+  }
+
+  // Check if the ball is waiting for the player to take relief (penalty area or unplayable lie)
+  isAwaitingRelief() {
+    return this.reliefOptions !== null;
+  }
+
+  // Declare the ball unplayable where it lies and get the relief options (one penalty stroke)
+  // Returns null unless the ball is at rest and in play
+  declareUnplayable() {
+    if (this.isTracking || this.holeCompleted || this.reliefOptions || !this.terrain) {
+      console.log('Ball can only be declared unplayable once it has come to rest');
+      return null;
+    }
+    
+    this.reliefOptions = getUnplayableLieOptions(this.terrain, { x: this.sprite.x, shotOrigin: this.shotOrigin });
+    this.reliefReason = 'unplayable';
+    console.log(`Unplayable lie declared at x=${Math.round(this.sprite.x)}`);
+    return this.reliefOptions;
+  }
+
+  // Change of mind before relief is taken from an unplayable lie - play it as it lies
+  // (a ball stuck in a tree can't be played, so stays unplayable)
+  cancelUnplayable() {
+    if (this.reliefReason === 'unplayable' && !this.lodgedPosition) {
+      this.reliefOptions = null;
+      this.reliefReason = null;
+    }
+  }
+
+  // Take one of the offered relief options (returns false if it isn't available)
+  // The water penalty callback is only called for penalty areas - whoever declared an
+  // unplayable lie adds its penalty stroke
+  takeRelief(type) {
+    const option = this.reliefOptions && this.reliefOptions.find(relief => relief.type === type);
+    if (!option || !option.valid) {
+      console.log(`Relief option ${type} is not available`);
+      return false;
+    }
+    
+    // Replays go back to the previous lie, drops go on the ground
+    const y = option.y !== null ? option.y : this.terrain.getHeightAtX(option.x) - this.groundRadius;
+    this.sprite.setPosition(option.x, y);
+    this.sprite.setVisible(true);
+    const reason = this.reliefReason;
+    this.reliefOptions = null;
+    this.reliefReason = null;
+    this.lodgedPosition = null;
+    console.log(`${option.name}: ball placed at x=${Math.round(option.x)}, y=${Math.round(y)}`);
+    
+    // Stabilize the ball after the drop to prevent falling through
+    this.stabilizeBall();
+    
+    // Call penalty callback to add stroke
+    if (reason === 'penaltyArea' && this.onWaterPenaltyCallback) {
+      this.onWaterPenaltyCallback(option);
+    }
+    
+    // Reset ball state
+    this.unstabilizeBall();
+    return true;
+  }
+
+  // Check if the ball has come down beyond the out-of-bounds stakes, or is still going long after the shot
+  checkOutOfBounds(deltaTime) {
+    if (!this.isTracking || this.holeCompleted || !this.terrain || !this.terrain.outOfBounds) {
+      return;
+    }
+    
+    this.shotTime += deltaTime;
+    
+    // Out once it touches down past a stake (flying over is fine if it comes back),
+    // or reaches the edge of the world rather than bouncing back off it - off the
+    // world inside the stakes it can't be found, so it's lost
+    const { left, right } = this.terrain.outOfBounds;
+    const beyondStakes = this.sprite.x < left || this.sprite.x > right;
+    const ballBottom = this.sprite.y + this.groundRadius;
+    const onGround = ballBottom >= this.getGroundHeight() - 5;
+    const atWorldEdge = this.sprite.x - this.groundRadius <= 0 || this.sprite.x + this.groundRadius >= this.terrain.width;
+    
+    if (beyondStakes && (onGround || atWorldEdge)) {
+      this.replayFromShotOrigin('outOfBounds');
+    } else if (atWorldEdge) {
+      this.replayFromShotOrigin('lost');
+    } else if (this.shotTime >= this.maxShotTime) {
+      // Still creeping (a steep slope or the foot of one) - the ball is in plain sight, so play it from here
+      console.log(`Ball still moving after ${this.maxShotTime / 1000}s - brought to rest at x=${Math.round(this.sprite.x)}`);
       this.stabilizeBall();
-      
-      // Call penalty callback to add stroke
-      if (this.onWaterPenaltyCallback) {
-        this.onWaterPenaltyCallback();
-      }
-      
-      // Reset ball state
-      this.unstabilizeBall();
+      this.stopDistanceTracking();
+    }
+  }
+
+  // Stroke and distance - put the ball back where the last shot was played from
+  replayFromShotOrigin(ruling) {
+    console.log(`Ball ${ruling === 'lost' ? 'lost' : 'out of bounds'}! Stroke and distance - replaying from x=${Math.round(this.shotOrigin.x)}`);
+    
+    // Stop the ball and take it back to the previous lie
+    this.sprite.body.setVelocity(0, 0);
+    this.stopDistanceTracking();
+    this.sprite.setPosition(this.shotOrigin.x, this.shotOrigin.y);
+    
+    // Stabilize the ball at the previous lie
+    this.stabilizeBall();
+    
+    // Call penalty callback to add stroke
+    if (this.onOutOfBoundsCallback) {
+      this.onOutOfBoundsCallback(ruling);
     }
+    
+    // Reset ball state
+    this.unstabilizeBall();
   }
 
   // Check if ball has landed in bunker
@@ -779,24 +1341,6 @@ export class GolfBall {
     }
   }
 
-  // Find a safe position to drop the ball near the water hazard
-  findWaterDropPosition() {
-    if (!this.terrain) {
-      return { x: this.originalPosition.x, y: this.originalPosition.y };
-    }
-    
-    // Use the terrain's water hazard system for drop positioning
-    if (this.terrain.findWaterDropPosition) {
-      return this.terrain.findWaterDropPosition(this.sprite.x, this.sprite.y, this.approachDirection);
-    }
-    
-    // Fallback to old logic if terrain doesn't have new method
-    const dropX = this.terrain.waterStartX - 250; // 12.5 yards before water starts for better visibility
-    const dropY = this.terrain.getHeightAtX(dropX) - this.groundRadius - 5; // On ground surface
-    
-    return { x: dropX, y: dropY };
-  }
-
   // Stop distance tracking and save final distance
   stopDistanceTracking() {
     if (this.isTracking) {
@@ -838,12 +1382,45 @@ export class GolfBall {
     return this.isTracking;
   }
 
+  // Get the surface lie under the ball (fairway when there's no terrain)
+  getLie() {
+    if (!this.terrain || !this.terrain.getSurfaceAt) {
+      return { type: 'fairway', ...SURFACE_TYPES.fairway };
+    }
+
+    return this.terrain.getSurfaceAt(this.sprite.x, this.sprite.y + this.groundRadius);
+  }
+
+  // Check if the ball is on the putting surface
+  isOnGreen() {
+    return this.getLie().type === 'green';
+  }
+
+  // Steepest slope the ball can come to rest on (greens are quicker to roll on)
+  getHoldingSlope() {
+    if (this.isOnGreen()) {
+      // Body drag holds the ball on a green as well as the grass does
+      return getGreenHoldingSlope(this.terrain.greenStimp) + this.sprite.body.drag.x / this.greenSlopeGravity;
+    }
+    return 0.15;
+  }
+
+  // Height of the ground under the ball - a structure's top when it's over one, otherwise the terrain
+  getGroundHeight() {
+    return this.terrain.getGroundHeightAt(this.sprite.x, this.sprite.y + this.groundRadius);
+  }
+
+  // Slope of the ground under the ball (see getGroundHeight)
+  getGroundSlope() {
+    return this.terrain.getGroundSlopeAt(this.sprite.x, this.sprite.y + this.groundRadius);
+  }
+
   // Check if ball is on terrain
   isOnTerrain() {
     if (!this.terrain) return false;
     
     const ballBottom = this.sprite.y + this.groundRadius;
-    const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+    const terrainHeight = this.getGroundHeight();
     
     return ballBottom >= terrainHeight;
   }
@@ -893,7 +1470,7 @@ export class GolfBall {
     if (horizontalVel < 20) {
       // Still check if ball is falling through terrain
       const ballBottom = this.sprite.y + this.groundRadius;
-      const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+      const terrainHeight = this.getGroundHeight();
       
       if (ballBottom > terrainHeight + 10) {
         // Ball is falling through - force it back to surface
@@ -906,12 +1483,12 @@ export class GolfBall {
     }
 
     const ballBottom = this.sprite.y + this.groundRadius;
-    const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+    const terrainHeight = this.getGroundHeight();
     
     // Apply terrain physics if ball is significantly below terrain
     // and not flying upward (to allow proper ball flight)
     // Use much larger threshold for steep slopes to prevent falling through
-    const slope = this.terrain.getSlopeAtX(this.sprite.x);
+    const slope = this.getGroundSlope();
     const isOnSteepSlope = Math.abs(slope) > 0.1; // Much steeper threshold
     const isOnVerySteepSlope = Math.abs(slope) > 0.5; // Extremely steep slopes
     const collisionThreshold = isOnVerySteepSlope ? 50 : isOnSteepSlope ? 30 : 5; // Much larger threshold for steep slopes
@@ -933,9 +1510,9 @@ export class GolfBall {
         // Very steep slopes: aggressive bounce and roll-back behavior
         this.sprite.setY(targetY); // Snap to terrain surface
         
-        // Apply realistic bounce physics based on slope angle
+        // Apply realistic bounce physics based on slope angle (and how firm the surface is)
         const slopeAngle = Math.atan(Math.abs(slope));
-        const bounceFactor = Math.sin(slopeAngle) * 0.8; // Stronger bounce for more roll-back
+        const bounceFactor = Math.sin(slopeAngle) * 0.8 * this.getLie().bounce; // Stronger bounce for more roll-back
         
         // Bounce the ball off the slope - more aggressive bouncing
         if (currentVel.y > 30) { // Lower threshold for bouncing
@@ -978,9 +1555,9 @@ export class GolfBall {
           const newY = currentY + yDifference * adjustmentSpeed;
           this.sprite.setY(newY);
           
-          // Only apply bounce if ball is falling very fast
+          // Only apply bounce if ball is falling very fast (higher off firm surfaces)
           if (currentVel.y > 200) {
-            this.sprite.body.setVelocityY(currentVel.y * -0.3);
+            this.sprite.body.setVelocityY(currentVel.y * -0.3 * this.getLie().bounce);
           } else {
             this.sprite.body.setVelocityY(currentVel.y * 0.7);
           }
@@ -994,9 +1571,9 @@ export class GolfBall {
     // Steep slopes should allow bouncing and rolling behavior, not forced stabilization
     
     // Enhanced slope influence system for realistic ball rolling
-    // Apply slope forces to rolling balls (not stabilized or flying)
-    if (!this.isStabilized && Math.abs(currentVel.y) < 50) {
-      const slope = this.terrain.getSlopeAtX(this.sprite.x);
+    // Apply slope forces to rolling balls (not stabilized or flying, greens use applyGreenSlope)
+    if (!this.isStabilized && Math.abs(currentVel.y) < 50 && !this.isOnGreen()) {
+      const slope = this.getGroundSlope();
       
       // Apply slope forces based on steepness
       if (Math.abs(slope) > 0.01) {
@@ -1083,7 +1660,7 @@ export class GolfBall {
     
     const currentY = this.sprite.y;
     const ballBottom = currentY + this.groundRadius;
-    const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+    const terrainHeight = this.getGroundHeight();
     
     // Check if ball is touching or very close to terrain
     const isOnGround = ballBottom >= terrainHeight - 5 && ballBottom <= terrainHeight + 5;
@@ -1108,7 +1685,7 @@ export class GolfBall {
     if (!this.terrain || this.isStabilized) return;
     
     const ballBottom = this.sprite.y + this.groundRadius;
-    const terrainHeight = this.terrain.getHeightAtX(this.sprite.x);
+    const terrainHeight = this.getGroundHeight();
     
     // If ball is significantly below terrain, force it back up
     if (ballBottom > terrainHeight + 15) {
@@ -1122,6 +1699,7 @@ export class GolfBall {
   // Encourage ball to roll down steep slopes instead of stabilizing
   encourageRollDown(slope) {
     if (this.isStabilized) return;
+    if (this.isOnGreen()) return; // applyGreenSlope rolls it down gently instead
     
     const currentVel = this.sprite.body.velocity;
     const ballSpeed = Math.abs(currentVel.x);
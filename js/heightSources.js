@@ -0,0 +1,207 @@
+/**
+ * Height sources - hole profiles drawn by hand instead of built from sine waves
+ *
+ * A profile terrain (terrain.type "profile") takes its ground from either
+ *
+ *   image - a grayscale PNG strip (usually in assets/course/), read left to
+ *           right: white columns are the highest ground, black the lowest
+ *   path  - an SVG path "d" string of the ground line as drawn in an SVG
+ *           editor (y down), with an optional viewBox ("minX minY width height")
+ *           to keep the drawing's scale instead of stretching the path to fit
+ *
+ * Both are sampled into elevations from 0 (lowest) to 1 (highest), one per
+ * height map point, which ProfileTerrain scales by the terrain's amplitude.
+ */
+
+// Points each curve in a path is flattened into
+const CURVE_STEPS = 16;
+
+// Texture key a heightmap image is loaded under
+export function getHeightmapKey(url) {
+  return `heightmap:${url}`;
+}
+
+// Sample a loaded grayscale image into count elevations (each column's brightness averaged over its rows)
+export function sampleImageHeights(textures, key, count) {
+  if (!textures || !textures.exists(key)) {
+    throw new Error(`Heightmap image "${key}" has not been loaded`);
+  }
+
+  const source = textures.get(key).getSourceImage();
+  const columns = [];
+  for (let column = 0; column < source.width; column++) {
+    let total = 0;
+    for (let row = 0; row < source.height; row++) {
+      const pixel = textures.getPixel(column, row, key);
+      total += pixel ? (pixel.red + pixel.green + pixel.blue) / 3 : 0;
+    }
+    columns.push(total / source.height / 255);
+  }
+
+  return resample(columns, count);
+}
+
+// Sample an SVG path into count elevations, using the highest line over each x
+export function sampleSvgPathHeights(pathData, count, viewBox = null) {
+  const lines = flattenPath(pathData);
+  if (lines.length === 0) {
+    throw new Error('Terrain path has no line segments');
+  }
+
+  // Area the drawing covers - the viewBox, or the path's own bounds
+  const points = lines.flat();
+  let [minX, minY, width, height] = viewBox
+    ? String(viewBox).trim().split(/[\s,]+/).map(Number)
+    : [0, 0, 0, 0];
+  if (!viewBox) {
+    minX = Math.min(...points.map(point => point.x));
+    minY = Math.min(...points.map(point => point.y));
+    width = Math.max(...points.map(point => point.x)) - minX;
+    height = Math.max(...points.map(point => point.y)) - minY;
+  }
+
+  const elevations = [];
+  for (let i = 0; i < count; i++) {
+    const x = minX + (width * i) / Math.max(count - 1, 1);
+    const y = getTopYAtX(lines, x);
+    elevations.push(height === 0 ? 0 : (minY + height - y) / height);
+  }
+
+  return elevations;
+}
+
+// Highest (smallest y) point of any line over x
+function getTopYAtX(lines, x) {
+  let top = null;
+
+  lines.forEach(([start, end]) => {
+    const left = Math.min(start.x, end.x);
+    const right = Math.max(start.x, end.x);
+    if (x < left || x > right) return;
+
+    const y = right === left
+      ? Math.min(start.y, end.y)
+      : start.y + (end.y - start.y) * ((x - start.x) / (end.x - start.x));
+    if (top === null || y < top) top = y;
+  });
+
+  // Past either end of the path, carry its first or last point out flat
+  if (top === null) {
+    const ends = lines.flat();
+    const nearest = ends.reduce((best, point) => (Math.abs(point.x - x) < Math.abs(best.x - x) ? point : best));
+    top = nearest.y;
+  }
+
+  return top;
+}
+
+// Turn path data (M, L, H, V, C, S, Q, T and Z, absolute or relative) into straight line segments
+function flattenPath(pathData) {
+  const tokens = String(pathData).match(/[a-df-zA-DF-Z]|-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const lines = [];
+  let index = 0;
+  let command = null;
+  let current = { x: 0, y: 0 };
+  let start = current;
+  let control = null; // Last curve control point, for S and T
+
+  const number = () => {
+    const value = Number(tokens[index++]);
+    if (Number.isNaN(value)) {
+      throw new Error(`Terrain path has a bad number near "${tokens[index - 1]}"`);
+    }
+    return value;
+  };
+  const point = (relative) => {
+    const x = number();
+    const y = number();
+    return relative ? { x: current.x + x, y: current.y + y } : { x, y };
+  };
+  const lineTo = (next) => {
+    lines.push([current, next]);
+    current = next;
+  };
+  const curveTo = (controls, end) => {
+    const from = current;
+    for (let step = 1; step <= CURVE_STEPS; step++) {
+      lineTo(getBezierPoint([from, ...controls, end], step / CURVE_STEPS));
+    }
+    control = controls[controls.length - 1];
+  };
+  const reflect = () => (control ? { x: 2 * current.x - control.x, y: 2 * current.y - control.y } : current);
+
+  while (index < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (command === null) {
+      throw new Error('Terrain path must start with a command');
+    }
+
+    const relative = command === command.toLowerCase();
+    const previousControl = control;
+    control = null;
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        current = point(relative);
+        start = current;
+        command = relative ? 'l' : 'L'; // Further pairs after a move are lines
+        break;
+      case 'L':
+        lineTo(point(relative));
+        break;
+      case 'H':
+        lineTo({ x: relative ? current.x + number() : number(), y: current.y });
+        break;
+      case 'V':
+        lineTo({ x: current.x, y: relative ? current.y + number() : number() });
+        break;
+      case 'C':
+        curveTo([point(relative), point(relative)], point(relative));
+        break;
+      case 'S':
+        control = previousControl;
+        curveTo([reflect(), point(relative)], point(relative));
+        break;
+      case 'Q':
+        curveTo([point(relative)], point(relative));
+        break;
+      case 'T':
+        control = previousControl;
+        curveTo([reflect()], point(relative));
+        break;
+      case 'Z':
+        lineTo(start);
+        command = null; // Z takes no numbers, so the next one must start a command
+        break;
+      default:
+        throw new Error(`Terrain path command "${command}" is not supported`);
+    }
+  }
+
+  return lines;
+}
+
+// Point along a quadratic or cubic bezier curve (de Casteljau)
+function getBezierPoint(points, t) {
+  let level = points;
+  while (level.length > 1) {
+    level = level.slice(1).map((point, i) => ({
+      x: level[i].x + (point.x - level[i].x) * t,
+      y: level[i].y + (point.y - level[i].y) * t
+    }));
+  }
+  return level[0];
+}
+
+// Linearly resample values to count evenly spaced samples
+function resample(values, count) {
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    const position = (values.length - 1) * (i / Math.max(count - 1, 1));
+    const left = Math.floor(position);
+    const right = Math.min(left + 1, values.length - 1);
+    samples.push(values[left] + (values[right] - values[left]) * (position - left));
+  }
+  return samples;
+}
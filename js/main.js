@@ -1,19 +1,30 @@
 import TitleScene from './scenes/TitleScene.js';
-import Hole1Scene from './scenes/GameScene.js'; // Will be renamed to Hole1Scene.js
-import Hole2Scene from './scenes/Hole2Scene.js';
-import Hole3Scene from './scenes/Hole3Scene.js';
+import HoleScene from './scenes/HoleScene.js';
+import ScorecardScene from './scenes/ScorecardScene.js';
+import EditorScene from './scenes/EditorScene.js';
 import { courseManager } from './CourseManager.js';
+import { saveManager } from './SaveManager.js';
+import { formatScoreToPar } from './scoring.js';
+import { simulateShot, simulateClubs } from './BallSimulation.js';
+import { generateHole, PAR_YARDAGES } from './HoleGenerator.js';
+import { createSeed } from './random.js';
+import { DIFFICULTY_LEVELS } from './difficulty.js';
+import { SWING_MODES, SWING_MODE_NAMES } from './SwingMeter.js';
 
 const config = {
   type: Phaser.AUTO,
   width: 1024,
   height: 768,
   backgroundColor: '#4CAF50',
-  scene: [TitleScene, Hole1Scene, Hole2Scene, Hole3Scene],
+  scene: [TitleScene, HoleScene, ScorecardScene, EditorScene],
   physics: {
     default: 'arcade',
     arcade: {
       gravity: { y: 100 },
+      // Step physics at a fixed 60 Hz (accumulating frame time) so shots
+      // travel the same distance on every display refresh rate
+      fps: 60,
+      fixedStep: true,
       // debug: true,
     },
   },
@@ -21,46 +32,138 @@ const config = {
 
 const game = new Phaser.Game(config);
 
+// Stop whichever scenes are running (and their music) before starting another
+function stopRunningScenes() {
+  game.scene.getScenes(true).forEach(scene => {
+    if (scene.stopHoleSounds) {
+      scene.stopHoleSounds();
+    }
+    if (scene.titleMusic && scene.titleMusic.isPlaying) {
+      scene.titleMusic.stop();
+    }
+    scene.scene.stop();
+  });
+}
+
 // Global console functions for debugging/testing
 window.switchToHole = function(holeNumber) {
   if (courseManager.gotoHole(holeNumber)) {
     const sceneName = courseManager.getCurrentSceneName();
+    const hole = courseManager.getCurrentHoleDefinition();
+    
+    // Check if the scene for this hole is registered
+    if (!game.scene.getScene(sceneName)) {
+      console.warn(`Scene ${sceneName} for Hole ${holeNumber} is not registered in main.js`);
+      return;
+    }
     
-      // Check if the scene exists
-      const sceneExists = game.scene.scenes.find(scene => scene.sys.config === sceneName);
-      
-      if (sceneExists) {
-        // Stop current scene and start the target scene
-        const currentScene = game.scene.getScene('Hole1Scene') || game.scene.getScene('Hole2Scene') || game.scene.getScene('Hole3Scene');
-        if (currentScene && currentScene.scene.isActive()) {
-          currentScene.scene.start(sceneName);
-        } else {
-          // If no active scene, just start the target scene
-          game.scene.start(sceneName);
-        }
-        console.log(`Switched to ${sceneName}`);
-      } else {
-        // Scene doesn't exist, fall back to available scenes
-        if (holeNumber === 1) {
-          game.scene.start('Hole1Scene');
-          console.log('Switched to Hole1Scene');
-        } else if (holeNumber === 2) {
-          game.scene.start('Hole2Scene');
-          console.log('Switched to Hole2Scene');
-        } else if (holeNumber === 3) {
-          game.scene.start('Hole3Scene');
-          console.log('Switched to Hole3Scene');
-        } else {
-          console.warn(`Scene ${sceneName} not implemented yet. Only Holes 1, 2, and 3 are available.`);
-          console.log('Available scenes: Hole1Scene, Hole2Scene, Hole3Scene');
-        }
+    // Stop whichever scenes are running (and their music) before starting the hole
+    game.scene.getScenes(true).forEach(scene => {
+      if (scene.stopHoleSounds) {
+        scene.stopHoleSounds();
+      }
+      if (scene.titleMusic && scene.titleMusic.isPlaying) {
+        scene.titleMusic.stop();
       }
+      if (scene.scene.key !== sceneName) {
+        scene.scene.stop();
+      }
+    });
+    
+    const currentScene = game.scene.getScene(sceneName);
+    if (currentScene.scene.isActive()) {
+      currentScene.scene.restart({ hole });
+    } else {
+      game.scene.start(sceneName, { hole });
+    }
+    console.log(`Switched to Hole ${holeNumber} (${sceneName})`);
+  }
+};
+
+window.editHole = function(holeNumber = courseManager.getCurrentHole()) {
+  if (!courseManager.gotoHole(holeNumber)) return;
+  
+  stopRunningScenes();
+  game.scene.start('EditorScene', { hole: courseManager.getCurrentHoleDefinition() });
+  console.log(`Editing Hole ${holeNumber}`);
+};
+
+window.startRound = function(roundType = 'full', seed) {
+  if (courseManager.startRound(roundType, seed)) {
+    window.switchToHole(courseManager.getCurrentHole());
+  }
+};
+
+window.playRandomCourse = function(seed) {
+  courseManager.loadRandomCourse(seed);
+  window.switchToHole(courseManager.getCurrentHole());
+};
+
+window.playLongHole = function(seed = createSeed()) {
+  const hole = generateHole(seed, { yardage: PAR_YARDAGES[6].max });
+  courseManager.loadCourse({ id: 'long-hole', name: 'Long Hole', holes: [hole] });
+  
+  // Played like an editor test play, so the saved round isn't written over (Continue still resumes it)
+  stopRunningScenes();
+  game.scene.start(courseManager.getCurrentSceneName(), { hole: courseManager.getCurrentHoleDefinition(), editorHole: hole });
+  console.log(`Playing a ${hole.width} px par 6 from seed ${seed} - check the frame rate with showFps()`);
+};
+
+window.showFps = function() {
+  console.log(`${Math.round(game.loop.actualFps)} fps`);
+};
+
+window.generateHole = function(par = 4, seed = createSeed()) {
+  const hole = generateHole(seed, { par });
+  console.log(`Par ${par} hole from seed ${seed} (${hole.yardage} yards) - paste into a course file's holes:`);
+  console.log(JSON.stringify(hole, null, 2));
+  return hole;
+};
+
+window.getSeed = function() {
+  console.log(`Round seed: ${courseManager.getSeed()} - replay with startRound('${courseManager.roundType}', ${courseManager.getSeed()})`);
+  return courseManager.getSeed();
+};
+
+window.simulateShot = function(club = 'driver', power = 2.0) {
+  const hole = courseManager.getCurrentHoleDefinition();
+  const shot = simulateShot(hole, { club, power, seed: courseManager.getSeed() });
+  console.log(`Hole ${hole.number} ${shot.club} at ${Math.round(power * 100)}%: carry ${shot.carry}, roll ${shot.roll}, total ${shot.total} yards (${shot.outcome})`);
+  return shot;
+};
+
+window.simulateClubs = function() {
+  const hole = courseManager.getCurrentHoleDefinition();
+  const shots = simulateClubs(hole, { seed: courseManager.getSeed() });
+  console.table(shots.map(({ club, carry, roll, total, apex, outcome }) => ({ club, carry, roll, total, apex, outcome })));
+  return shots;
+};
+
+window.setDifficulty = function(difficulty) {
+  if (!DIFFICULTY_LEVELS[difficulty]) {
+    console.log(`Unknown difficulty. Choose one of: ${Object.keys(DIFFICULTY_LEVELS).join(', ')}`);
+    return;
   }
+  saveManager.setSetting('difficulty', difficulty);
+  console.log(`Aim assist difficulty set to ${DIFFICULTY_LEVELS[difficulty].name} (applies from the next hole)`);
+};
+
+window.setSwingMode = function(swingMode) {
+  if (!SWING_MODE_NAMES[swingMode]) {
+    console.log(`Unknown swing mode. Choose one of: ${Object.values(SWING_MODES).join(', ')}`);
+    return;
+  }
+  saveManager.setSetting('swingMode', swingMode);
+  console.log(`Swing mode set to ${SWING_MODE_NAMES[swingMode]} (applies from the next hole)`);
 };
 
 window.listHoles = function() {
   console.log('Available holes:');
+  const backNine = courseManager.getRoundRange('back');
   for (let i = 1; i <= courseManager.getTotalHoles(); i++) {
+    if (backNine && i === backNine.firstHole) {
+      console.log('--- Back nine ---');
+    }
     const par = courseManager.getParForHole(i);
     const yardage = courseManager.getYardageForHole(i);
     const score = courseManager.getScoreForHole(i);
@@ -71,6 +174,28 @@ window.listHoles = function() {
   console.log('Usage: switchToHole(holeNumber) - e.g., switchToHole(2)');
 };
 
+window.showScorecard = function() {
+  game.scene.getScenes(true).forEach(scene => {
+    if (scene.stopHoleSounds) {
+      scene.stopHoleSounds();
+    }
+    scene.scene.stop();
+  });
+  game.scene.start('ScorecardScene');
+};
+
+window.listRounds = function() {
+  const rounds = saveManager.getCompletedRounds();
+  console.log(`Completed rounds: ${rounds.length}`);
+  rounds.forEach(round => {
+    console.log(`${round.completedAt.slice(0, 10)} ${round.courseName} (${round.roundType}): ${round.strokes} strokes, ${formatScoreToPar(round.scoreToPar)} [seed ${round.seed}]`);
+  });
+};
+
+window.clearSave = function() {
+  saveManager.reset();
+};
+
 window.resetCourse = function() {
   courseManager.reset();
   game.scene.start('TitleScene');
@@ -79,7 +204,21 @@ window.resetCourse = function() {
 
 // Show available console commands
 console.log('🏌️ Golf Game Console Commands:');
-console.log('- switchToHole(number): Switch to specific hole (1-18)');
+console.log('- switchToHole(number): Switch to specific hole of the loaded course');
+console.log("- startRound(type, seed): Restart play as a 'full' round, 'front' nine or 'back' nine (optional seed replays a round)");
+console.log('- playRandomCourse(seed): Generate an 18-hole course (optional seed rebuilds the same one) and play it');
+console.log('- playLongHole(seed): Test-play a generated 30,000 px par 6 without touching the saved round (for checking performance)');
+console.log('- showFps(): Show the current frame rate');
+console.log('- generateHole(par, seed): Print a generated hole definition for a course file');
+console.log('- getSeed(): Show the current round seed (include it in bug reports)');
+console.log("- simulateShot(club, power): Simulate a shot from the current hole's tee without playing it");
+console.log('- simulateClubs(): Simulated full-power carry and roll for every club on the current hole');
+console.log("- setDifficulty(level): Set aim assist to 'easy', 'normal' or 'hard'");
+console.log("- setSwingMode(mode): Swing by holding Space ('hold') or with the three-click meter ('classic')");
+console.log('- editHole(number): Open a hole of the loaded course in the hole editor');
 console.log('- listHoles(): Show all holes and their info');
+console.log('- showScorecard(): Show the scorecard for the current round');
+console.log('- listRounds(): Show completed rounds from save data');
+console.log('- clearSave(): Delete the saved round and round history');
 console.log('- resetCourse(): Reset course and go back to hole 1');
 console.log('Example: switchToHole(2)');
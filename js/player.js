@@ -2,6 +2,12 @@
  * Player class for managing golfer sprite, animations, and movement
  */
 import { courseManager } from './CourseManager.js';
+import { SeededRandom } from './random.js';
+import { SwingMeter, SWING_MODES } from './SwingMeter.js';
+import { STRUCTURE_STEP_HEIGHT } from './Structure.js';
+
+// Furthest the player moves between updates - anything more is a jump (a dash or being placed)
+const PLAYER_STEP_LIMIT = 50;
 
 export class Player {
   constructor(scene, x = 100, y = 630) {
@@ -16,9 +22,13 @@ export class Player {
     this.minPower = 0.2; // Minimum power (20%)
     this.maxPower = 2.0; // Maximum power (200%)
     this.chargeTime = 2000; // Time in ms to reach max power
+    this.swingMode = SWING_MODES.HOLD; // Hold to charge, or the classic three-click meter
+    this.swingMeter = new SwingMeter(); // Used in the classic swing mode
+    this.strike = null; // Strike quality from the three-click meter (null when holding to charge)
     this.speedLines = null; // Will hold speed lines effect
     this.terrain = null; // Reference to terrain system
     this.groundOffset = 60; // Distance above ground to maintain (adjusted for proper positioning)
+    this.ground = null; // Last ground followed ({ x, y }), so ramps and ledges are tracked from where the feet should be
     this.swimmingSound = null; // Reference to swimming sound
     this.isInWater = false; // Track if player is currently in water
     this.isKnockedBack = false; // Track if player is in knockback mode
@@ -50,6 +60,9 @@ export class Player {
     this.shootCooldown = 0; // Cooldown between shots
     this.shootCooldownTime = 500; // 500ms between shots
     
+    // Random source for dropped balls (seeded by the scene so rounds can be replayed)
+    this.random = new SeededRandom();
+    
     // Create player sprite
     this.sprite = scene.physics.add.sprite(x, y, "golfer_walking_0");
     
@@ -179,6 +192,11 @@ export class Player {
     this.terrain = terrain;
   }
 
+  // Set random source for dropped balls
+  setRandom(random) {
+    this.random = random;
+  }
+
   // Set swimming sound reference
   setSwimmingSound(swimmingSound) {
     this.swimmingSound = swimmingSound;
@@ -281,9 +299,6 @@ export class Player {
       this.shootBall();
     }
     
-    // Update projectile system
-    this.updateProjectiles();
-    
     // Skip normal movement if currently dashing
     if (this.isDashing) {
       return;
@@ -306,7 +321,12 @@ export class Player {
     }
 
     // Handle power charging and swing
-    if (keys.space.isDown) {
+    if (this.swingMode === SWING_MODES.CLASSIC) {
+      if (this.updateSwingMeter(keys)) {
+        this.hideSpeedLines();
+        return;
+      }
+    } else if (keys.space.isDown) {
       if (!this.isChargingPower) {
         this.startPowerCharge();
       } else {
@@ -365,9 +385,76 @@ export class Player {
     }
   }
 
+  // Set how the player swings (SWING_MODES)
+  setSwingMode(swingMode) {
+    this.swingMode = swingMode;
+    this.swingMeter.reset();
+  }
+
+  // Drive the three-click meter - returns true while the meter is running
+  updateSwingMeter(keys) {
+    const now = this.scene.time.now;
+    
+    if (Phaser.Input.Keyboard.JustDown(keys.space)) {
+      if (!this.isChargingPower) {
+        this.startPowerCharge();
+      }
+      this.swingMeter.click(now);
+    }
+    
+    if (!this.isChargingPower) return false;
+    
+    this.swingMeter.update(now);
+    this.currentPower = this.minPower + (this.maxPower - this.minPower) * this.swingMeter.getPowerLevel();
+    
+    if (this.swingMeter.isComplete()) {
+      this.strike = this.swingMeter.getStrike();
+      this.swingMeter.reset();
+      this.showStrikeIndicator(this.strike);
+      this.executeSwing();
+    }
+    return true;
+  }
+
+  // Get the strike quality for the swing in progress (null when holding to charge)
+  getStrike() {
+    return this.strike;
+  }
+
+  // Show how well the three-click swing was timed above the player
+  showStrikeIndicator(strike) {
+    const labels = { perfect: 'Perfect!', thin: 'Thin', fat: 'Fat' };
+    const colors = { perfect: '#FFD700', thin: '#ffffff', fat: '#ff9999' };
+    
+    const strikeText = this.scene.add.text(this.sprite.x, this.sprite.y - 100, labels[strike.type], {
+      fontSize: '20px',
+      fill: colors[strike.type],
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    });
+    
+    strikeText.setOrigin(0.5, 0.5);
+    strikeText.setDepth(1000);
+    
+    // Animate strike text (float up and fade out)
+    this.scene.tweens.add({
+      targets: strikeText,
+      y: strikeText.y - 40,
+      alpha: 0,
+      duration: 1200,
+      ease: 'Power2',
+      onComplete: () => {
+        strikeText.destroy();
+      }
+    });
+  }
+
   // Start power charging
   startPowerCharge() {
     this.isChargingPower = true;
+    this.strike = null;
     this.powerChargeStartTime = this.scene.time.now;
     this.currentPower = this.minPower;
     this.sprite.setVelocityX(0); // Stop movement while charging
@@ -521,8 +608,21 @@ export class Player {
   updateTerrainPosition() {
     if (!this.terrain || this.isDashing) return; // Skip terrain following during dash
 
-    const currentX = this.sprite.x;
-    const terrainHeight = this.terrain.getHeightAtX(currentX);
+    let currentX = this.sprite.x;
+    
+    // Feet on the last ground followed, unless the player has jumped somewhere new
+    const lastGround = this.ground && Math.abs(currentX - this.ground.x) <= PLAYER_STEP_LIMIT ? this.ground : null;
+    const feetY = lastGround ? lastGround.y : this.sprite.y + this.groundOffset;
+    
+    // Structure walls stop the player (edges up to STRUCTURE_STEP_HEIGHT high are stepped onto)
+    if (lastGround && this.isBlockedByStructure(currentX, feetY)) {
+      currentX = lastGround.x;
+      this.sprite.setX(currentX);
+      this.sprite.body.setVelocityX(0);
+    }
+    
+    const terrainHeight = this.terrain.getGroundHeightAt(currentX, feetY);
+    this.ground = { x: currentX, y: terrainHeight };
     const targetY = terrainHeight - this.groundOffset;
     const currentY = this.sprite.y;
 
@@ -537,6 +637,14 @@ export class Player {
     }
   }
 
+  // Check if the player's body at x would be inside a structure
+  isBlockedByStructure(x, feetY) {
+    if (!this.terrain.isInsideStructure) return false;
+    
+    return this.terrain.isInsideStructure(x, feetY - STRUCTURE_STEP_HEIGHT - 1) ||
+           this.terrain.isInsideStructure(x, feetY - this.groundOffset);
+  }
+
   // Check if player is in water and manage swimming sound
   updateWaterDetection() {
     if (!this.terrain || !this.swimmingSound || this.isDashing) {
@@ -828,6 +936,27 @@ export class Player {
     console.log('Player state reset for restart');
   }
 
+  // Get ball inventory and health to carry between holes (and into save data)
+  getSaveState() {
+    return {
+      ballCount: this.ballCount,
+      health: this.currentHealth
+    };
+  }
+
+  // Restore ball inventory and health carried from a previous hole
+  applySaveState(state) {
+    if (!state) return;
+    
+    this.ballCount = Math.min(this.maxBalls, Math.max(0, state.ballCount || 0));
+    
+    // A knocked-out player starts the next hole at full health
+    this.currentHealth = state.health > 0 ? Math.min(this.maxHealth, state.health) : this.maxHealth;
+    
+    this.updateHealthBar();
+    this.updateBallInventoryUI();
+  }
+
   // Drop golf balls when taking damage
   dropGolfBalls(count) {
     if (!this.scene || !this.scene.droppedBalls) {
@@ -841,13 +970,13 @@ export class Player {
     for (let i = 0; i < count; i++) {
       // Calculate scatter positions around the player
       const angle = (i / count) * Math.PI * 2; // Distribute evenly in a circle
-      const distance = 80 + Math.random() * 60; // Random distance between 80-140 pixels (increased from 50-80)
+      const distance = 80 + this.random.next() * 60; // Random distance between 80-140 pixels (increased from 50-80)
       
       const dropX = playerX + Math.cos(angle) * distance;
       const dropY = playerY + Math.sin(angle) * distance - 30; // Drop slightly above player
       
       // Determine if this ball should be a healing ball (1/2 chance for testing)
-      const randomValue = Math.random();
+      const randomValue = this.random.next();
       const isHealingBall = randomValue < 0.5; // Temporarily 50% for testing
       
       console.log(`Ball ${i + 1}: random=${randomValue.toFixed(3)}, isHealing=${isHealingBall}`);
@@ -856,8 +985,8 @@ export class Player {
       const droppedBall = new this.scene.DroppedBall(this.scene, dropX, dropY, isHealingBall);
       
       // Add some random velocity to make balls scatter more
-      const scatterVelX = (Math.random() - 0.5) * 400; // Increased from 200
-      const scatterVelY = -Math.random() * 150 - 80; // Always scatter upward, increased from 100-150
+      const scatterVelX = (this.random.next() - 0.5) * 400; // Increased from 200
+      const scatterVelY = -this.random.next() * 150 - 80; // Always scatter upward, increased from 100-150
       droppedBall.sprite.body.setVelocity(scatterVelX, scatterVelY);
       
       // Add to scene's dropped balls array
@@ -971,11 +1100,11 @@ export class Player {
     });
   }
   
-  // Update projectile system
-  updateProjectiles() {
+  // Update projectile system (called by the scene every fixed physics step)
+  updateProjectiles(deltaTime) {
     // Update cooldown
     if (this.shootCooldown > 0) {
-      this.shootCooldown -= 16; // Assuming 60fps
+      this.shootCooldown -= deltaTime;
     }
     
     // Update and clean up projectiles
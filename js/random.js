@@ -0,0 +1,69 @@
+/**
+ * Seedable random numbers so a round can be replayed exactly from its seed
+ *
+ * Gameplay code takes a SeededRandom instead of calling Math.random(), and
+ * each system gets its own fork so extra draws in one (e.g. wind) don't
+ * shift the numbers another (e.g. shot variation) sees.
+ */
+
+// Mix a string into a 32-bit seed (FNV-1a)
+function hashString(text, hash = 2166136261) {
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Pick a new seed for a round (the only place that should use Math.random)
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Turn a seed given as a number or text (e.g. a date for daily challenges) into a 32-bit seed
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  return hashString(String(seed));
+}
+
+export class SeededRandom {
+  constructor(seed = createSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Next float in [0, 1) - drop-in replacement for Math.random() (mulberry32)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [min, max] (inclusive)
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // True with the given probability (0-1)
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Independent stream derived from this seed and a label
+  fork(label) {
+    return new SeededRandom(hashString(String(label), this.seed));
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+}
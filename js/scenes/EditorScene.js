@@ -0,0 +1,579 @@
+import { courseManager } from '../CourseManager.js';
+import { parseHole, createTerrain } from '../CourseLoader.js';
+import { getHeightmapKey } from '../heightSources.js';
+import { OBSTACLE_TYPES } from '../Obstacle.js';
+
+/**
+ * EditorScene - Hole editor for shaping a hole and exporting it as a course file entry
+ *
+ * The ground is a row of control points that drag up and down, saved as a
+ * profile terrain (an SVG path in world pixels, see heightSources.js). The
+ * tee, green, pin, water, bunkers and obstacles are placed with the mouse, and
+ * every change rebuilds the hole with the same terrain, WaterHazard, Bunker and
+ * Obstacle classes the game plays it with. Rebuilding bakes the whole hole
+ * (TerrainChunks), so a drag only moves the markers and the hole is rebuilt
+ * when it's released. Surfaces are laid out by default around
+ * the tee and green, so any custom surfaces on the hole being edited are dropped.
+ */
+
+// Distance between terrain control points (25 yards)
+const CONTROL_POINT_SPACING = 500;
+
+// How far above the base height control points can be dragged, and how far below
+const PROFILE_AMPLITUDE = 400;
+const PROFILE_DEPTH = 100;
+
+// Hole width limits and how much [ and ] change it by (50 yards)
+const MAX_HOLE_WIDTH = 30000;
+const HOLE_WIDTH_STEP = 1000;
+
+// Shortest green, water hazard or bunker a drag creates (5 yards)
+const MIN_RANGE_WIDTH = 100;
+
+// Right-click removes an obstacle this close to the pointer before any hazard under it
+const OBSTACLE_PICK_RANGE = 60;
+
+// Camera scroll speed in pixels per millisecond (arrow keys)
+const SCROLL_SPEED = 1.5;
+
+// Overview of the whole hole along the top of the screen
+const MINIMAP_TOP = 10;
+const MINIMAP_HEIGHT = 50;
+
+// P steps the par through these (null works it out from the yardage)
+const PAR_CYCLE = [null, 3, 4, 5, 6];
+
+const TOOLS = {
+  terrain: { name: 'Terrain', color: 0xffffff },
+  tee: { name: 'Tee', color: 0xffffff },
+  green: { name: 'Green', color: 0x2E7D32 },
+  pin: { name: 'Pin', color: 0xff0000 },
+  water: { name: 'Water', color: 0x1976D2 },
+  bunker: { name: 'Bunker', color: 0xF4E4BC },
+  obstacle: { name: 'Obstacle', color: 0x5D4037 }
+};
+
+class EditorScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'EditorScene' });
+  }
+
+  init(data) {
+    // Hole to edit (a course file hole definition), otherwise the current hole of the loaded course
+    this.sourceHole = (data && data.hole) || courseManager.getCurrentHoleDefinition();
+  }
+
+  preload() {
+    this.load.image("sky", "assets/course/sky.png");
+    if (this.sourceHole.terrain && this.sourceHole.terrain.image) {
+      this.load.image(getHeightmapKey(this.sourceHole.terrain.image), this.sourceHole.terrain.image);
+    }
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+
+    this.add.tileSprite(0, 0, width, height, "sky").setOrigin(0, 0).setScrollFactor(0);
+
+    this.hole = this.createEditableHole(parseHole(this.sourceHole, 1));
+    this.tool = 'terrain';
+    this.obstacleType = 'tree'; // Placed by the obstacle tool (O cycles it)
+    this.drag = null;
+    this.terrain = null;
+
+    // Control points, tee, pin and drag previews drawn over the hole
+    this.markers = this.add.graphics().setDepth(50);
+
+    // Overview of the whole hole (click to jump there)
+    this.minimap = this.add.graphics().setDepth(100).setScrollFactor(0);
+
+    this.infoText = this.add.text(20, MINIMAP_TOP + MINIMAP_HEIGHT + 10, '', {
+      fontSize: '20px',
+      fill: '#ffff00',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial'
+    }).setDepth(100).setScrollFactor(0);
+
+    this.add.text(20, height - 20,
+      '1-7: Tool   Drag: Edit   Right-click: Remove hazard or obstacle   Arrows: Scroll   [ ]: Width   P: Par   , .: Yardage   Y: Auto yardage\n' +
+      'O: Obstacle type   T: Test play   X: Export   Esc: Title screen', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial'
+    }).setOrigin(0, 1).setDepth(100).setScrollFactor(0);
+
+    this.messageText = this.add.text(width / 2, height / 2, '', {
+      fontSize: '28px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+      fontFamily: 'Arial'
+    }).setOrigin(0.5, 0.5).setDepth(100).setScrollFactor(0);
+
+    this.input.mouse.disableContextMenu();
+    this.input.on('pointerdown', this.onPointerDown, this);
+    this.input.on('pointermove', this.onPointerMove, this);
+    this.input.on('pointerup', this.onPointerUp, this);
+
+    this.keys = this.input.keyboard.addKeys({
+      one: Phaser.Input.Keyboard.KeyCodes.ONE,
+      two: Phaser.Input.Keyboard.KeyCodes.TWO,
+      three: Phaser.Input.Keyboard.KeyCodes.THREE,
+      four: Phaser.Input.Keyboard.KeyCodes.FOUR,
+      five: Phaser.Input.Keyboard.KeyCodes.FIVE,
+      six: Phaser.Input.Keyboard.KeyCodes.SIX,
+      seven: Phaser.Input.Keyboard.KeyCodes.SEVEN,
+      obstacleType: Phaser.Input.Keyboard.KeyCodes.O,
+      left: Phaser.Input.Keyboard.KeyCodes.LEFT,
+      right: Phaser.Input.Keyboard.KeyCodes.RIGHT,
+      narrower: Phaser.Input.Keyboard.KeyCodes.OPEN_BRACKET,
+      wider: Phaser.Input.Keyboard.KeyCodes.CLOSED_BRACKET,
+      par: Phaser.Input.Keyboard.KeyCodes.P,
+      shorter: Phaser.Input.Keyboard.KeyCodes.COMMA,
+      longer: Phaser.Input.Keyboard.KeyCodes.PERIOD,
+      autoYardage: Phaser.Input.Keyboard.KeyCodes.Y,
+      test: Phaser.Input.Keyboard.KeyCodes.T,
+      export: Phaser.Input.Keyboard.KeyCodes.X,
+      esc: Phaser.Input.Keyboard.KeyCodes.ESC
+    });
+
+    this.rebuildHole();
+  }
+
+  // Turn a parsed hole definition into the editor's hole, reading its ground at each control point
+  createEditableHole(definition) {
+    const terrain = createTerrain(this, definition);
+    const controlHeights = this.getControlPointXs(definition.width).map(x => terrain.getBaseHeightAtX(x));
+    terrain.destroy();
+
+    const teeToPin = Math.round((definition.pin.x - definition.tee.x) / 20);
+    return {
+      yardage: definition.yardage !== teeToPin ? definition.yardage : null, // Tee to pin when null
+      par: definition.par, // From the yardage when null
+      width: definition.width,
+      baseHeight: definition.baseHeight,
+      controlHeights: controlHeights,
+      tee: { ...definition.tee },
+      green: { ...definition.green, contour: definition.green.contour.slice() },
+      pin: { ...definition.pin },
+      outOfBoundsLeft: definition.outOfBounds.left,
+      outOfBoundsMargin: definition.width - definition.outOfBounds.right, // Kept as the hole's width changes
+      water: definition.water.map(water => ({ startX: water.startX, width: water.width })),
+      bunkers: definition.bunkers.map(bunker => ({ startX: bunker.startX, width: bunker.width })),
+      structures: definition.structures.map(structure => ({ ...structure, points: structure.points.map(point => point.slice()) })), // Kept as they are
+      obstacles: definition.obstacles.map(obstacle => ({ ...obstacle })),
+      enemies: definition.enemies.map(enemy => ({ ...enemy })),
+      world: { ...definition.world },
+      camera: { ...definition.camera },
+      scenery: { ...definition.scenery },
+      music: definition.music,
+      startingBalls: definition.startingBalls
+    };
+  }
+
+  // Control points every CONTROL_POINT_SPACING pixels, plus one at the end of the hole
+  getControlPointXs(width) {
+    const xs = [];
+    for (let x = 0; x < width; x += CONTROL_POINT_SPACING) {
+      xs.push(x);
+    }
+    xs.push(width);
+    return xs;
+  }
+
+  // The hole as a course file entry
+  getHoleFile() {
+    const hole = this.hole;
+    const xs = this.getControlPointXs(hole.width);
+    const path = xs.map((x, i) => `${i === 0 ? 'M' : 'L'}${x} ${Math.round(hole.controlHeights[i])}`).join(' ');
+
+    const file = {};
+    if (hole.par) file.par = hole.par;
+    file.yardage = this.getYardage();
+    Object.assign(file, {
+      width: hole.width,
+      baseHeight: hole.baseHeight,
+      terrain: {
+        type: 'profile',
+        amplitude: PROFILE_AMPLITUDE,
+        viewBox: `0 ${hole.baseHeight - PROFILE_AMPLITUDE} ${hole.width} ${PROFILE_AMPLITUDE}`, // Path y values are world pixels
+        path: path
+      },
+      tee: { ...hole.tee },
+      green: { ...hole.green },
+      pin: { ...hole.pin },
+      outOfBounds: { left: hole.outOfBoundsLeft, right: hole.width - hole.outOfBoundsMargin },
+      water: hole.water.map(water => ({ ...water })),
+      bunkers: hole.bunkers.map(bunker => ({ ...bunker })),
+      structures: hole.structures.map(structure => ({ ...structure, points: structure.points.map(point => point.slice()) })),
+      obstacles: hole.obstacles.map(obstacle => ({ ...obstacle })),
+      enemies: hole.enemies.map(enemy => ({ ...enemy })),
+      world: { ...hole.world },
+      camera: { ...hole.camera },
+      scenery: { ...hole.scenery },
+      music: hole.music,
+      startingBalls: hole.startingBalls
+    });
+    return file;
+  }
+
+  // Yardage as set, or tee to pin
+  getYardage() {
+    return this.hole.yardage || Math.round((this.hole.pin.x - this.hole.tee.x) / 20);
+  }
+
+  // Build the hole again from the edited definition
+  rebuildHole() {
+    if (this.terrain) {
+      this.terrain.destroy();
+    }
+    this.definition = parseHole(this.getHoleFile(), 1);
+    this.terrain = createTerrain(this, this.definition);
+    this.cameras.main.setBounds(0, 0, this.hole.width, this.cameras.main.height);
+
+    this.drawMarkers();
+    this.drawMinimap();
+    this.updateInfoText();
+  }
+
+  drawMarkers() {
+    const graphics = this.markers;
+    const hole = this.hole;
+    graphics.clear();
+
+    // Control points joined by the profile they describe
+    const xs = this.getControlPointXs(hole.width);
+    const active = this.tool === 'terrain';
+    graphics.lineStyle(2, 0xffffff, active ? 0.6 : 0.25);
+    graphics.strokePoints(xs.map((x, i) => ({ x, y: hole.controlHeights[i] })));
+    xs.forEach((x, i) => {
+      const dragged = this.drag && this.drag.type === 'point' && this.drag.index === i;
+      graphics.fillStyle(dragged ? 0xffff00 : 0xffffff, active ? 1 : 0.4);
+      graphics.fillCircle(x, hole.controlHeights[i], dragged ? 9 : 6);
+    });
+
+    // Tee box marker
+    const teeY = this.terrain.getHeightAtX(hole.tee.x);
+    graphics.fillStyle(0xffffff, 1);
+    graphics.fillRect(hole.tee.x - 4, teeY - 30, 8, 30);
+
+    // Pin and flag
+    const pinY = this.terrain.getHeightAtX(hole.pin.x);
+    graphics.lineStyle(3, 0xffffff, 1);
+    graphics.lineBetween(hole.pin.x, pinY, hole.pin.x, pinY - 80);
+    graphics.fillStyle(0xff0000, 1);
+    graphics.fillTriangle(hole.pin.x, pinY - 80, hole.pin.x + 30, pinY - 70, hole.pin.x, pinY - 60);
+
+    // Range being dragged out for a green, water hazard or bunker
+    if (this.drag && this.drag.type === 'range') {
+      const startX = Math.min(this.drag.startX, this.drag.endX);
+      const endX = Math.max(this.drag.startX, this.drag.endX);
+      graphics.fillStyle(TOOLS[this.tool].color, 0.4);
+      graphics.fillRect(startX, 0, endX - startX, this.cameras.main.height);
+    }
+  }
+
+  drawMinimap() {
+    const graphics = this.minimap;
+    const screenWidth = this.cameras.main.width;
+    const scaleX = (screenWidth - 40) / this.hole.width;
+    const toMapX = x => 20 + x * scaleX;
+    const toMapY = y => MINIMAP_TOP + ((y - 150) / 618) * MINIMAP_HEIGHT;
+    graphics.clear();
+
+    graphics.fillStyle(0x000000, 0.5);
+    graphics.fillRect(20, MINIMAP_TOP, screenWidth - 40, MINIMAP_HEIGHT);
+
+    // Hazards and green as bands under the ground line
+    const band = (startX, width, color) => {
+      graphics.fillStyle(color, 0.8);
+      graphics.fillRect(toMapX(startX), MINIMAP_TOP, Math.max(width * scaleX, 2), MINIMAP_HEIGHT);
+    };
+    this.hole.water.forEach(water => band(water.startX, water.width, TOOLS.water.color));
+    this.hole.bunkers.forEach(bunker => band(bunker.startX, bunker.width, TOOLS.bunker.color));
+    band(this.hole.green.startX, this.hole.green.width, TOOLS.green.color);
+
+    graphics.lineStyle(1, 0xffffff, 1);
+    const step = Math.max(1, Math.floor(this.terrain.heightMap.length / 300));
+    graphics.strokePoints(this.terrain.heightMap
+      .filter((point, index) => index % step === 0)
+      .map(point => ({ x: toMapX(point.x), y: toMapY(point.y) })));
+
+    // Part of the hole on screen
+    const camera = this.cameras.main;
+    graphics.lineStyle(2, 0xffff00, 1);
+    graphics.strokeRect(toMapX(camera.scrollX), MINIMAP_TOP, camera.width * scaleX, MINIMAP_HEIGHT);
+  }
+
+  updateInfoText() {
+    const par = this.hole.par || courseManager.calculateParFromYardage(this.getYardage());
+    const tool = this.tool === 'obstacle'
+      ? `${TOOLS.obstacle.name} (${OBSTACLE_TYPES[this.obstacleType].name})`
+      : TOOLS[this.tool].name;
+    this.infoText.setText(
+      `Hole editor - Tool: ${tool}  |  Par ${par}${this.hole.par ? '' : ' (auto)'}  |  ` +
+      `${this.getYardage()} yards${this.hole.yardage ? '' : ' (auto)'}  |  Width ${this.hole.width / 20} yards`
+    );
+  }
+
+  // Flash a short message in the middle of the screen
+  showMessage(text) {
+    this.messageText.setText(text).setAlpha(1);
+    this.tweens.killTweensOf(this.messageText);
+    this.tweens.add({ targets: this.messageText, alpha: 0, delay: 1000, duration: 500 });
+  }
+
+  onPointerDown(pointer) {
+    // Jump along the hole from the overview
+    if (pointer.y <= MINIMAP_TOP + MINIMAP_HEIGHT) {
+      this.drag = { type: 'minimap' };
+      this.scrollToMinimap(pointer.x);
+      return;
+    }
+
+    const hole = this.hole;
+    const x = Phaser.Math.Clamp(pointer.worldX, 0, hole.width);
+
+    // Right-click removes the nearest obstacle, or the water hazard or bunker under the pointer
+    if (pointer.rightButtonDown()) {
+      const obstacle = this.terrain.getObstacleNearX(x, OBSTACLE_PICK_RANGE);
+      const water = this.terrain.getWaterHazardAtX(x);
+      const bunker = this.terrain.getBunkerAtX(x);
+      if (obstacle) {
+        hole.obstacles = hole.obstacles.filter(candidate => candidate.x !== obstacle.x);
+      } else if (water) {
+        hole.water = hole.water.filter(range => range.startX !== water.startX);
+      } else if (bunker) {
+        hole.bunkers = hole.bunkers.filter(range => range.startX !== bunker.startX);
+      }
+      this.rebuildHole();
+      return;
+    }
+
+    switch (this.tool) {
+      case 'terrain': {
+        // Grab the nearest control point
+        const xs = this.getControlPointXs(hole.width);
+        const index = xs.reduce((best, pointX, i) => (Math.abs(pointX - x) < Math.abs(xs[best] - x) ? i : best), 0);
+        if (Math.abs(xs[index] - x) <= CONTROL_POINT_SPACING / 4) {
+          this.drag = { type: 'point', index: index };
+          this.onPointerMove(pointer);
+        }
+        break;
+      }
+      case 'tee':
+      case 'pin':
+        this.drag = { type: this.tool };
+        this.onPointerMove(pointer);
+        break;
+      case 'obstacle':
+        hole.obstacles.push({ type: this.obstacleType, x: Math.round(x) });
+        hole.obstacles.sort((a, b) => a.x - b.x);
+        this.rebuildHole();
+        break;
+      default:
+        this.drag = { type: 'range', startX: x, endX: x };
+        this.drawMarkers();
+    }
+  }
+
+  onPointerMove(pointer) {
+    if (!this.drag || !pointer.isDown) return;
+
+    const hole = this.hole;
+    const x = Phaser.Math.Clamp(pointer.worldX, 0, hole.width);
+
+    switch (this.drag.type) {
+      case 'minimap':
+        this.scrollToMinimap(pointer.x);
+        break;
+      case 'point':
+        hole.controlHeights[this.drag.index] = Phaser.Math.Clamp(
+          pointer.worldY, hole.baseHeight - PROFILE_AMPLITUDE, hole.baseHeight + PROFILE_DEPTH
+        );
+        this.drawMarkers();
+        break;
+      case 'tee':
+        // Tee stays on the hole and short of the green
+        hole.tee.x = Math.round(Phaser.Math.Clamp(x, 150, hole.green.startX - 200));
+        hole.tee.playerX = hole.tee.x - 100;
+        this.drawMarkers();
+        this.updateInfoText();
+        break;
+      case 'pin':
+        hole.pin.x = Math.round(Phaser.Math.Clamp(x, hole.green.startX + 20, hole.green.startX + hole.green.width - 20));
+        this.drawMarkers();
+        this.updateInfoText();
+        break;
+      case 'range':
+        this.drag.endX = x;
+        this.drawMarkers();
+        break;
+    }
+  }
+
+  // Rebuild the hole once a drag that changed it is released
+  onPointerUp() {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag || drag.type === 'minimap') return;
+
+    if (drag.type === 'range') {
+      const startX = Math.round(Math.min(drag.startX, drag.endX));
+      const width = Math.round(Math.abs(drag.endX - drag.startX));
+      if (width >= MIN_RANGE_WIDTH) {
+        this.placeRange(startX, width);
+      }
+    }
+    this.rebuildHole();
+  }
+
+  // Use a dragged-out range for the current tool
+  placeRange(startX, width) {
+    const hole = this.hole;
+
+    if (this.tool === 'green') {
+      if (startX <= hole.tee.x + 200 || startX + width + hole.green.slopeWidth >= hole.width) {
+        this.showMessage('Green must sit between the tee and the end of the hole');
+        return;
+      }
+      hole.green.startX = startX;
+      hole.green.width = width;
+
+      // Keep the pin on the green
+      if (hole.pin.x < startX || hole.pin.x > startX + width) {
+        hole.pin.x = Math.round(startX + width / 2);
+      }
+    } else if (this.tool === 'water') {
+      hole.water.push({ startX, width });
+      hole.water.sort((a, b) => a.startX - b.startX);
+    } else if (this.tool === 'bunker') {
+      hole.bunkers.push({ startX, width });
+      hole.bunkers.sort((a, b) => a.startX - b.startX);
+    }
+  }
+
+  // Centre the camera on the part of the hole under a minimap x position
+  scrollToMinimap(screenX) {
+    const screenWidth = this.cameras.main.width;
+    const x = ((screenX - 20) / (screenWidth - 40)) * this.hole.width;
+    this.cameras.main.setScroll(x - screenWidth / 2, 0);
+    this.drawMinimap();
+  }
+
+  // Grow or shrink the hole from its far end
+  setHoleWidth(width) {
+    const hole = this.hole;
+    const minWidth = Math.ceil((hole.green.startX + hole.green.width + hole.green.slopeWidth + 400) / HOLE_WIDTH_STEP) * HOLE_WIDTH_STEP;
+    width = Phaser.Math.Clamp(width, minWidth, MAX_HOLE_WIDTH);
+    if (width === hole.width) return;
+
+    // New control points continue at the last point's height
+    const lastHeight = hole.controlHeights[hole.controlHeights.length - 1];
+    const count = this.getControlPointXs(width).length;
+    hole.controlHeights = Array.from({ length: count }, (_, i) => (i < hole.controlHeights.length - 1 ? hole.controlHeights[i] : lastHeight));
+    hole.width = width;
+
+    // Drop hazards that no longer fit
+    hole.water = hole.water.filter(water => water.startX + water.width <= width - 200);
+    hole.bunkers = hole.bunkers.filter(bunker => bunker.startX + bunker.width <= width - 200);
+    hole.structures = hole.structures.filter(structure => structure.points.every(([x]) => x <= width));
+    hole.obstacles = hole.obstacles.filter(obstacle => obstacle.x <= width - 200);
+    this.rebuildHole();
+  }
+
+  // Set the scorecard yardage in 5 yard steps
+  changeYardage(step) {
+    this.hole.yardage = Math.max(50, Math.round((this.getYardage() + step) / 5) * 5);
+    this.updateInfoText();
+  }
+
+  // Play the hole as it stands, coming back here afterwards
+  testPlay() {
+    const hole = this.getHoleFile();
+    courseManager.loadCourse({ id: 'editor', name: 'Hole Editor', holes: [hole] });
+    this.scene.start(courseManager.getCurrentSceneName(), { hole: courseManager.getCurrentHoleDefinition(), editorHole: hole });
+  }
+
+  // Download the hole as a JSON file to paste into a course file's holes
+  exportHole() {
+    const json = JSON.stringify(this.getHoleFile(), null, 2);
+    console.log(json);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'hole.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    this.showMessage('Exported hole.json');
+  }
+
+  update(time, delta) {
+    const keys = this.keys;
+    const JustDown = Phaser.Input.Keyboard.JustDown;
+
+    // Only draw the part of the hole on screen
+    this.terrain.update(this.cameras.main);
+
+    // Tools
+    ['one', 'two', 'three', 'four', 'five', 'six', 'seven'].forEach((key, index) => {
+      if (JustDown(keys[key])) {
+        this.tool = Object.keys(TOOLS)[index];
+        this.drawMarkers();
+        this.updateInfoText();
+      }
+    });
+
+    // Tree, shrub, fence or rock for the obstacle tool
+    if (JustDown(keys.obstacleType)) {
+      const types = Object.keys(OBSTACLE_TYPES);
+      this.obstacleType = types[(types.indexOf(this.obstacleType) + 1) % types.length];
+      this.tool = 'obstacle';
+      this.drawMarkers();
+      this.updateInfoText();
+    }
+
+    // Scroll along the hole
+    const camera = this.cameras.main;
+    if (keys.left.isDown || keys.right.isDown) {
+      camera.scrollX += (keys.right.isDown ? 1 : -1) * SCROLL_SPEED * delta;
+      this.drawMinimap();
+    }
+
+    if (JustDown(keys.narrower)) {
+      this.setHoleWidth(this.hole.width - HOLE_WIDTH_STEP);
+    }
+    if (JustDown(keys.wider)) {
+      this.setHoleWidth(this.hole.width + HOLE_WIDTH_STEP);
+    }
+
+    if (JustDown(keys.par)) {
+      this.hole.par = PAR_CYCLE[(PAR_CYCLE.indexOf(this.hole.par) + 1) % PAR_CYCLE.length];
+      this.updateInfoText();
+    }
+
+    if (JustDown(keys.shorter)) {
+      this.changeYardage(-5);
+    }
+    if (JustDown(keys.longer)) {
+      this.changeYardage(5);
+    }
+    if (JustDown(keys.autoYardage)) {
+      this.hole.yardage = null;
+      this.updateInfoText();
+    }
+
+    if (JustDown(keys.test)) {
+      this.testPlay();
+    } else if (JustDown(keys.export)) {
+      this.exportHole();
+    } else if (JustDown(keys.esc)) {
+      this.scene.start('TitleScene');
+    }
+  }
+}
+
+export default EditorScene;
@@ -4,20 +4,46 @@ import { GolfBall } from "../golfball.js";
 import { Player } from "../player.js";
 import { ClubManager, CLUB_TYPES } from "../clubs.js";
 import { WindSystem } from "../wind.js";
-import { Hole3Terrain } from "../Hole3Terrain.js";
+import { createTerrain } from "../CourseLoader.js";
 import { courseManager } from "../CourseManager.js";
+import { saveManager } from "../SaveManager.js";
 import { Enemy } from "../Enemy.js";
 import { DroppedBall } from "../DroppedBall.js";
+import { getScoreName, formatScoreToPar } from "../scoring.js";
+import { SeededRandom } from "../random.js";
+import { getDifficulty, DEFAULT_DIFFICULTY } from "../difficulty.js";
+import { SWING_MODES } from "../SwingMeter.js";
+import { CUP_RESULTS } from "../Cup.js";
+import { SPIN_SETTINGS } from "../spin.js";
+import { getHeightmapKey } from "../heightSources.js";
 
-export default class Hole3Scene extends Phaser.Scene {
+/**
+ * HoleScene - Plays any hole from the loaded course
+ *
+ * The hole definition passed to the scene drives the terrain, hazards,
+ * music and any enemies, so every hole shares the same game flow.
+ */
+export default class HoleScene extends Phaser.Scene {
   constructor() {
-    super("Hole3Scene");
+    super("HoleScene");
+  }
+
+  init(data) {
+    // Hole to play (passed when starting the scene, otherwise the current hole)
+    this.hole = (data && data.hole) || courseManager.getCurrentHoleDefinition();
+    
+    // Hole file being test-played from the editor (the round isn't saved, and the editor reopens after)
+    this.editorHole = (data && data.editorHole) || null;
   }
 
   preload() {
     this.load.image("sky", "assets/course/sky.png");
     this.load.image("trees", "assets/course/trees.png");
     this.load.image("flag", "assets/course/flag.png");
+    // Heightmap image a profile terrain is drawn from
+    if (this.hole.terrain.image) {
+      this.load.image(getHeightmapKey(this.hole.terrain.image), this.hole.terrain.image);
+    }
     this.load.image("enemy1_standing", "assets/enemies/enemy1_standing.png");
     this.load.image("enemy1_walking1", "assets/enemies/enemy1_walking1.png");
     this.load.image("enemy1_walking2", "assets/enemies/enemy1_walking2.png");
@@ -52,37 +78,56 @@ export default class Hole3Scene extends Phaser.Scene {
     this.load.audio("bossfight", "assets/sounds/bossfight1.mp3");
     this.load.audio("collect", "assets/sounds/collect.mp3");
     this.load.audio("hurt", "assets/sounds/hurt.mp3");
+    
+    // Debug: Log when sounds are loaded
+    this.load.on('filecomplete-audio-clap', () => {
+      console.log('Clap sound file loaded successfully');
+    });
+    this.load.on('filecomplete-audio-cheer', () => {
+      console.log('Cheer sound file loaded successfully');
+    });
   }
 
   create() {
+    console.log(`Creating Hole ${this.hole.number} - Par ${courseManager.getCurrentPar()}`);
+    
+    // Random source for this hole, derived from the round seed so replays match exactly
+    this.random = new SeededRandom(courseManager.getSeed()).fork(`hole-${this.hole.number}`);
     
-    // Set world bounds for Hole 3 (300 yards = 6000 pixels)
-    this.physics.world.setBounds(0, -1000, 6000, 2500);
+    // Set world bounds for the hole, with extra space above for ball flight
+    this.physics.world.setBounds(0, this.hole.world.top, this.hole.width, this.hole.world.height);
     
     // Create repeating sky background across the course
-    this.add.tileSprite(0, 0, 6000, 600, "sky").setOrigin(0, 0);
+    this.add.tileSprite(0, 0, this.hole.width, 600, "sky").setOrigin(0, 0);
     
     // Create trees background (horizontal repeat only)
     // Position trees at the bottom of the visible area (y=600-height of trees image)
-    const treeHeight = 600; // Assuming trees.png is 600px tall
-    const treeWidth = 600;  // Assuming trees.png is 600px wide
-    const numTrees = Math.ceil(6000 / treeWidth); // Calculate how many trees needed
-    
-    for (let i = 0; i < numTrees; i++) {
-      this.add.image(i * treeWidth, 600 - treeHeight/2 + 150, "trees").setOrigin(0, 0.5).setDepth(1);
+    if (this.hole.scenery.trees) {
+      const treeHeight = 600; // Assuming trees.png is 600px tall
+      const treeWidth = 600;  // Assuming trees.png is 600px wide
+      const numTrees = Math.ceil(this.hole.width / treeWidth); // Calculate how many trees needed
+      
+      for (let i = 0; i < numTrees; i++) {
+        this.add.image(i * treeWidth, 600 - treeHeight/2 + 150, "trees").setOrigin(0, 0.5).setDepth(1);
+      }
     }
 
-    // Create custom terrain system for Hole 3
-    this.terrain = new Hole3Terrain(this);
+    // Create terrain system (with green and hazards) for this hole
+    this.terrain = createTerrain(this, this.hole);
 
     // Create flag at hole position
     this.createFlag();
+    
+    // Mark where out of bounds starts
+    this.createOutOfBoundsStakes();
 
     // Create animations
     createGolferAnimations(this);
     
-    // Create enemy walking animations
-    this.createEnemyAnimations();
+    // Create enemy walking animations (only holes with enemies need them)
+    if (this.hole.enemies.length > 0) {
+      this.createEnemyAnimations();
+    }
 
     // Setup WASD controls
     this.keys = setupWASD(this);
@@ -91,38 +136,41 @@ export default class Hole3Scene extends Phaser.Scene {
     this.swimmingSound = this.sound.add("swimming", { volume: 0.6, loop: true });
     this.bounceSound = this.sound.add("bounce", { volume: 0.4 });
     
-    // Create and start background music
-    this.backgroundMusic = this.sound.add("background", { volume: 0.3, loop: true });
-    this.backgroundMusic.play();
+    // Create and start background music (holes can pick a track or turn it off)
+    if (this.hole.music) {
+      this.backgroundMusic = this.sound.add(this.hole.music, { volume: 0.3, loop: true });
+      this.backgroundMusic.play();
+    }
 
     // Create player at terrain height
-    const startX = 100;
+    const startX = this.hole.tee.playerX;
     const startY = this.terrain.getHeightAtX(startX) - 30; // 30px above terrain
     this.player = new Player(this, startX, startY);
     this.player.setTerrain(this.terrain);
     this.player.setSwimmingSound(this.swimmingSound);
+    this.player.setRandom(this.random.fork('player'));
+    this.player.setSwingMode(saveManager.getSetting('swingMode', SWING_MODES.HOLD));
     
     // Save score at start of hole for restart functionality
     this.player.saveHoleStartScore();
     
-    // Give player some initial balls
-    this.player.addBalls(5);
+    // Carry ball inventory and health over from the previous hole, then add this hole's balls
+    this.player.applySaveState(courseManager.getPlayerState());
+    this.player.addBalls(this.hole.startingBalls);
     
-    // Set player depth to appear above terrain
+    // Set player depth to appear above terrain but below water
     this.player.sprite.setDepth(5);
 
     // Create golf ball at terrain height
-    const ballStartX = 200;
-    const ballStartY = this.terrain.getHeightAtX(ballStartX) - 10; // 10px above terrain
+    const ballStartX = this.hole.tee.x;
+    const ballStartY = this.terrain.getHeightAtX(ballStartX) - 10; // 10px above terrain (lowered by 5px)
     this.golfBall = new GolfBall(this, ballStartX, ballStartY);
     this.golfBall.setTerrain(this.terrain);
+    this.golfBall.setRandom(this.random.fork('shots'));
     
-    // Set golf ball depth to appear above terrain
+    // Set golf ball depth to appear above terrain but below water
     this.golfBall.sprite.setDepth(5);
 
-    // Create enemy in front of the green (after golf ball is created)
-    this.createEnemy();
-
     // Create and set hit sounds for the golf ball
     this.hitSound = this.sound.add("hit", { volume: 0.5 });
     this.puttSound = this.sound.add("putt", { volume: 0.4 });
@@ -142,11 +190,23 @@ export default class Hole3Scene extends Phaser.Scene {
     this.golfBall.setClapSound(this.clapSound);
     this.golfBall.setCheerSound(this.cheerSound);
     
+    // Rattle off the rim or flagstick (a quick, quiet bounce)
+    this.cupSound = this.sound.add("bounce", { volume: 0.5, rate: 1.6 });
+    this.golfBall.setCupSound(this.cupSound);
+    
     // Create fireball sound for enemy attacks
     this.fireballSound = this.sound.add("fireball", { volume: 0.8 });
     this.bossfightSound = this.sound.add("bossfight", { volume: 0.6, loop: true });
     this.collectSound = this.sound.add("collect", { volume: 0.6 });
-    this.hurtSound = this.sound.add("hurt", { volume: 0.7, loop: false });    
+    this.hurtSound = this.sound.add("hurt", { volume: 0.7, loop: false });
+    
+    // Create enemies placed by the hole definition (after golf ball and sounds are created)
+    this.enemy = null;
+    this.hole.enemies.forEach(enemy => {
+      if (enemy.type === 'frank') {
+        this.createEnemy(enemy.x);
+      }
+    });
     
     // Set up camera switching callback
     this.golfBall.setOnBallHitCallback(() => {
@@ -154,28 +214,52 @@ export default class Hole3Scene extends Phaser.Scene {
       this.incrementShotCounter();
     });
     
-    // Set up water penalty callback
-    this.golfBall.setOnWaterPenaltyCallback(() => {
-      this.incrementShotCounter(); // Add penalty stroke
+    // Set up water penalty callbacks (player picks the relief, then the ball is dropped)
+    this.golfBall.setOnPenaltyAreaCallback((options) => {
+      this.showPenaltyReliefMenu(options);
+    });
+    this.golfBall.setOnWaterPenaltyCallback((option) => {
+      this.addPenaltyStroke();
+      this.showRulingMessage(`Penalty area - ${option.name.toLowerCase()}`);
+      console.log('Water penalty! Adding penalty stroke.');
+    });
+    
+    // Ball stuck up a tree is unplayable (the penalty stroke is added once relief is taken)
+    this.golfBall.setOnStuckInTreeCallback((options) => {
+      this.showPenaltyReliefMenu(options, 'stuckInTree');
     });
     
     // Set up hole completion callback
     this.golfBall.setOnHoleCompletedCallback(() => {
       this.completeHole();
     });
+    
+    // Set up out of bounds callback (ball is already back at its previous lie)
+    this.golfBall.setOnOutOfBoundsCallback((ruling) => {
+      this.addPenaltyStroke();
+      this.showRulingMessage(`${ruling === 'lost' ? 'Lost ball' : 'Out of bounds'} - stroke and distance`);
+    });
+    
+    // Near misses at the cup
+    this.golfBall.setOnLipOutCallback((type) => {
+      this.showCupMessage(type === CUP_RESULTS.LIP_OUT ? 'Lipped out!' : 'So close!');
+    });
+    this.golfBall.setOnFlagstickCallback(() => {
+      this.showCupMessage('Off the pin!');
+    });
 
     // Create club manager
     this.clubManager = new ClubManager();
 
     // Create wind system
-    this.windSystem = new WindSystem(this);
+    this.windSystem = new WindSystem(this, this.random.fork('wind'));
     this.golfBall.setWindSystem(this.windSystem);
 
     // Set up camera to follow the player initially
     this.cameras.main.startFollow(this.player.sprite);
     
     // Set camera bounds to cover the golf course
-    this.cameras.main.setBounds(0, 0, 6000, 1000);
+    this.cameras.main.setBounds(0, 0, this.hole.width, this.hole.camera.height);
     
     // Camera management state
     this.cameraFollowingBall = false;
@@ -183,6 +267,13 @@ export default class Hole3Scene extends Phaser.Scene {
     
     // Shot counter
     this.shotCount = 0;
+    this.penaltyStrokes = 0; // Penalty strokes included in shotCount (shown on the scorecard)
+    
+    // Original ball still being played out while a provisional is hit (see declareProvisionalBall)
+    this.provisional = null;
+    
+    // Relief choice shown while the ball is in a penalty area (see showPenaltyReliefMenu)
+    this.penaltyReliefMenu = null;
     
     // Frank ball dropping system (projectile-hit based)
     this.isPursuitMode = false;
@@ -206,8 +297,21 @@ export default class Hole3Scene extends Phaser.Scene {
     // Create distance to pin UI
     this.createDistanceToPinUI();
     
+    // Create lie UI
+    this.createLieUI();
+    
     // Create enemy health bar UI
-    this.createEnemyHealthBar();
+    if (this.enemy) {
+      this.createEnemyHealthBar();
+    }
+    
+    // Run ball, wind and projectile logic on each fixed physics step
+    this.physics.world.on('worldstep', this.fixedUpdate, this);
+    
+    // Save the round so it can be continued after a refresh
+    if (!this.editorHole) {
+      saveManager.saveRound();
+    }
   }
 
   createClubUI() {
@@ -234,12 +338,18 @@ export default class Hole3Scene extends Phaser.Scene {
     
     // Create power meter UI
     this.createPowerMeter();
+    this.createTrajectoryPreview();
+    this.createPuttingGrid();
     this.updateClubUI();
   }
 
   updateClubUI() {
     const clubInfo = this.clubManager.getClubInfo();
-    this.clubText.setText(`Club: ${clubInfo.name}\n${clubInfo.description}`);
+    const spinName = SPIN_SETTINGS[this.clubManager.getSpin()].name;
+    this.clubText.setText(`Club: ${clubInfo.name}  |  Spin: ${spinName} (B)\n${clubInfo.description}`);
+    
+    // Read the green only with the putter out
+    this.puttingGrid.setVisible(this.clubManager.getCurrentClub() === 'putter');
   }
 
   updateHoleInfoUI() {
@@ -249,21 +359,20 @@ export default class Hole3Scene extends Phaser.Scene {
     const scoreToPar = courseManager.getScoreRelativeToPar();
     
     // Always show score - use "E" for even par, +/- for others
-    let scoreDisplay;
-    if (scoreToPar === 0) {
-      scoreDisplay = 'E';
-    } else if (scoreToPar > 0) {
-      scoreDisplay = `+${scoreToPar}`;
-    } else {
-      scoreDisplay = `${scoreToPar}`; // Already has negative sign
-    }
+    const scoreDisplay = formatScoreToPar(scoreToPar);
     
     this.holeInfoText.setText(`Hole ${holeNumber} - Par ${par}, ${yardage}y | Total: ${scoreDisplay}`);
   }
 
   completeHole() {
-    // Record score for this hole
-    courseManager.recordScore(this.shotCount);
+    console.log(`Hole ${courseManager.getCurrentHole()} completed in ${this.shotCount} strokes!`);
+    
+    // Record score for this hole and carry the player's balls and health to the next one
+    courseManager.recordScore(this.shotCount, this.penaltyStrokes);
+    courseManager.setPlayerState(this.player.getSaveState());
+    if (!this.editorHole) {
+      saveManager.saveRound();
+    }
     
     // Show completion message
     this.showHoleCompletedMessage();
@@ -277,7 +386,7 @@ export default class Hole3Scene extends Phaser.Scene {
   showHoleCompletedMessage() {
     const par = courseManager.getCurrentPar();
     const strokes = this.shotCount;
-    const scoreName = this.getScoreName(strokes, par);
+    const scoreName = getScoreName(strokes, par);
     const isHoleInOne = strokes === 1;
     
     // Create completion message
@@ -350,8 +459,9 @@ export default class Hole3Scene extends Phaser.Scene {
       });
     }
     
-    // Add "Next Hole" text
-    const nextText = this.add.text(centerX, centerY + 80, 'Next hole in 3 seconds...', {
+    // Add "Next Hole" text (or the scorecard after the last hole of the round)
+    const nextMessage = courseManager.isLastHole() ? 'Scorecard in 3 seconds...' : 'Next hole in 3 seconds...';
+    const nextText = this.add.text(centerX, centerY + 80, nextMessage, {
       fontSize: '24px',
       fill: '#ffff00',
       stroke: '#000000',
@@ -372,35 +482,27 @@ export default class Hole3Scene extends Phaser.Scene {
     });
   }
 
-  getScoreName(strokes, par) {
-    // Special case: Hole-in-one (1 stroke on any hole)
-    if (strokes === 1) {
-      return 'HOLE IN ONE! 🎉';
-    }
-    
-    const diff = strokes - par;
-    if (diff <= -4) return 'Condor!';
-    if (diff === -3) return 'Albatross!';
-    if (diff === -2) return 'Eagle!';
-    if (diff === -1) return 'Birdie!';
-    if (diff === 0) return 'Par';
-    if (diff === 1) return 'Bogey';
-    if (diff === 2) return 'Double Bogey';
-    if (diff === 3) return 'Triple Bogey';
-    return `+${diff}`;
-  }
-
   advanceToNextHole() {
-    if (courseManager.nextHole()) {
-      // Get next scene name
-      const nextSceneName = courseManager.getCurrentSceneName();
+    if (this.editorHole) {
+      this.returnToEditor();
+    } else if (courseManager.nextHole()) {
+      // Get next hole and the scene that plays it
+      const nextHole = courseManager.getCurrentHoleDefinition();
+      let nextSceneName = courseManager.getCurrentSceneName();
       
-      // Check if next scene exists, otherwise show completion
-      if (this.scene.manager.scenes.find(scene => scene.sys.config === nextSceneName)) {
-        this.scene.start(nextSceneName);
+      if (!this.scene.manager.keys[nextSceneName]) {
+        console.warn(`Scene ${nextSceneName} not registered, playing Hole ${nextHole.number} in ${this.scene.key}`);
+        nextSceneName = this.scene.key;
+      }
+      
+      // Stop this hole's music so it doesn't layer over the next hole
+      this.stopHoleSounds();
+      
+      if (nextSceneName === this.scene.key) {
+        // Replay this scene with the next hole's definition
+        this.scene.restart({ hole: nextHole });
       } else {
-        // For now, just restart Hole 1 (until we create more holes)
-        this.scene.start('Hole1Scene');
+        this.scene.start(nextSceneName, { hole: nextHole });
       }
     } else {
       // Course complete!
@@ -409,7 +511,20 @@ export default class Hole3Scene extends Phaser.Scene {
   }
 
   showCourseComplete() {
-    // TODO: Show final scorecard and course completion screen
+    console.log('Course Complete!');
+    
+    // Add the round to the saved history
+    saveManager.recordCompletedRound();
+    
+    // Stop this hole's music and show the final scorecard
+    this.stopHoleSounds();
+    this.scene.start('ScorecardScene');
+  }
+
+  // Go back to editing the hole after a test play
+  returnToEditor() {
+    this.stopHoleSounds();
+    this.scene.start('EditorScene', { hole: this.editorHole });
   }
 
   createPowerMeter() {
@@ -439,10 +554,86 @@ export default class Hole3Scene extends Phaser.Scene {
     this.powerMeterLabel.setOrigin(0.5, 1); // Center horizontally, bottom aligned
     this.powerMeterLabel.setDepth(1002); // Above fill
     
+    // Three-click meter markers: accuracy zone at the start, and the power that was set
+    const accuracyZone = this.player.swingMeter.accuracyZone;
+    this.swingZoneMarker = this.add.rectangle(0, 0, Math.max(3, 96 * accuracyZone), meterHeight - 4, 0x00ffff);
+    this.swingZoneMarker.setOrigin(0, 0.5);
+    this.swingZoneMarker.setDepth(1002);
+    this.swingPowerMarker = this.add.rectangle(0, 0, 2, meterHeight + 4, 0xffffff);
+    this.swingPowerMarker.setOrigin(0.5, 0.5);
+    this.swingPowerMarker.setDepth(1002);
+    
     // Initially hide power meter
     this.powerMeterBg.setVisible(false);
     this.powerMeterFill.setVisible(false);
     this.powerMeterLabel.setVisible(false);
+    this.swingZoneMarker.setVisible(false);
+    this.swingPowerMarker.setVisible(false);
+  }
+
+  createTrajectoryPreview() {
+    // How much aim assist to show comes from the difficulty setting
+    this.difficulty = getDifficulty(saveManager.getSetting('difficulty', DEFAULT_DIFFICULTY));
+    
+    // Dotted arc drawn in world space while charging
+    this.trajectoryGraphics = this.add.graphics();
+    this.trajectoryGraphics.setDepth(999); // Just below the power meter
+    
+    // Carry yardage shown next to the landing marker
+    this.landingText = this.add.text(0, 0, '', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 2,
+      fontFamily: 'Arial'
+    });
+    this.landingText.setOrigin(0.5, 1);
+    this.landingText.setDepth(999);
+    this.landingText.setVisible(false);
+  }
+
+  createPuttingGrid() {
+    // Grid over the green with an arrow at each point showing which way (and how hard) putts break
+    this.puttingGrid = this.add.graphics();
+    this.puttingGrid.setDepth(3); // Above the green overlay
+    this.puttingGrid.setVisible(false);
+    
+    const green = this.hole.green;
+    const spacing = 40;
+    const gridHeight = 24; // Grid lines stand this far above the surface
+    
+    for (let x = green.startX; x <= green.startX + green.width; x += spacing) {
+      const surfaceY = this.terrain.getHeightAtX(x);
+      const slope = this.terrain.getSlopeAtX(x);
+      const arrowY = surfaceY - gridHeight;
+      
+      // Grid line up from the surface
+      this.puttingGrid.lineStyle(1, 0xffffff, 0.35);
+      this.puttingGrid.lineBetween(x, surfaceY, x, arrowY);
+      
+      // Flat spots get a dot
+      if (Math.abs(slope) < 0.005) {
+        this.puttingGrid.fillStyle(0xffffff, 0.8);
+        this.puttingGrid.fillCircle(x, arrowY, 2);
+        continue;
+      }
+      
+      // Arrow points downhill, longer and hotter the steeper it gets
+      const color = Math.abs(slope) > 0.08 ? 0xff4444 : Math.abs(slope) > 0.03 ? 0xffff00 : 0xffffff;
+      const direction = Math.sign(slope); // Positive slope falls away to the right
+      const length = Math.min(6 + Math.abs(slope) * 200, spacing - 8);
+      const startX = x - direction * length / 2;
+      const tipX = x + direction * length / 2;
+      
+      this.puttingGrid.lineStyle(2, color, 0.9);
+      this.puttingGrid.lineBetween(startX, arrowY, tipX, arrowY);
+      this.puttingGrid.fillStyle(color, 0.9);
+      this.puttingGrid.fillTriangle(
+        tipX + direction * 4, arrowY,
+        tipX - direction * 3, arrowY - 4,
+        tipX - direction * 3, arrowY + 4
+      );
+    }
   }
 
   createDistanceUI() {
@@ -501,14 +692,31 @@ export default class Hole3Scene extends Phaser.Scene {
     this.updateDistanceToPinUI();
   }
 
+  createLieUI() {
+    // Lie display in top-right corner, below shot counter
+    this.lieText = this.add.text(this.cameras.main.width - 20, 140, '', {
+      fontSize: '20px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 2,
+      fontFamily: 'Arial'
+    });
+    this.lieText.setOrigin(1, 0); // Right-aligned
+    this.lieText.setScrollFactor(0); // Keep UI fixed on screen
+    this.updateLieUI();
+  }
+
   updatePowerMeter() {
     const isCharging = this.player.chargingPower;
     const powerLevel = this.player.getPowerLevel();
+    const swingMeter = this.player.swingMode === SWING_MODES.CLASSIC ? this.player.swingMeter : null;
     
     // Show/hide power meter based on charging state
     this.powerMeterBg.setVisible(isCharging);
     this.powerMeterFill.setVisible(isCharging);
     this.powerMeterLabel.setVisible(isCharging);
+    this.swingZoneMarker.setVisible(isCharging && swingMeter !== null);
+    this.swingPowerMarker.setVisible(isCharging && swingMeter !== null && swingMeter.state === 'returning');
     
     if (isCharging) {
       // Position power meter above the player
@@ -526,6 +734,13 @@ export default class Hole3Scene extends Phaser.Scene {
       const currentWidth = maxWidth * powerLevel;
       this.powerMeterFill.width = currentWidth;
       
+      // Three-click meter: fill follows the moving meter back down towards the accuracy zone
+      if (swingMeter) {
+        this.powerMeterFill.width = maxWidth * Math.max(0, swingMeter.getLevel());
+        this.swingZoneMarker.setPosition(playerX - 48, playerY + offsetY);
+        this.swingPowerMarker.setPosition(playerX - 48 + maxWidth * swingMeter.power, playerY + offsetY);
+      }
+      
       // Change color based on power level
       let color = 0x00ff00; // Green for low power
       if (powerLevel > 0.7) {
@@ -541,6 +756,45 @@ export default class Hole3Scene extends Phaser.Scene {
     }
   }
 
+  updateTrajectoryPreview() {
+    this.trajectoryGraphics.clear();
+    this.landingText.setVisible(false);
+    
+    // Only while charging a shot the ball can actually be hit from
+    if (!this.player.chargingPower || this.difficulty.previewFraction <= 0) return;
+    const distanceToBall = Phaser.Math.Distance.Between(this.player.x, this.player.y, this.golfBall.x, this.golfBall.y);
+    if (distanceToBall >= 80 || this.golfBall.isMoving()) return;
+    
+    const direction = this.player.sprite.flipX ? -1 : 1;
+    const trajectory = this.golfBall.predictTrajectory(
+      this.clubManager.getCurrentClubProperties(),
+      this.player.getCurrentPower(),
+      direction,
+      this.difficulty.previewWind,
+      this.clubManager.getSpin()
+    );
+    if (!trajectory) return; // Putter shots don't fly
+    
+    // Dots every few steps along the shown part of the arc
+    const shownPoints = Math.floor(trajectory.points.length * this.difficulty.previewFraction);
+    this.trajectoryGraphics.fillStyle(0xffffff, 0.8);
+    for (let i = 4; i < shownPoints; i += 4) {
+      const point = trajectory.points[i];
+      this.trajectoryGraphics.fillCircle(point.x, point.y, 3);
+    }
+    
+    // Landing marker with carry yardage
+    if (this.difficulty.showLandingMarker && trajectory.landing) {
+      const { x, y } = trajectory.landing;
+      this.trajectoryGraphics.lineStyle(3, 0xffff00, 1);
+      this.trajectoryGraphics.lineBetween(x - 8, y - 8, x + 8, y + 8);
+      this.trajectoryGraphics.lineBetween(x - 8, y + 8, x + 8, y - 8);
+      this.landingText.setPosition(x, y - 12);
+      this.landingText.setText(`${trajectory.carry} yds`);
+      this.landingText.setVisible(true);
+    }
+  }
+
   updateDistanceUI() {
     const currentDistance = this.golfBall.getCurrentDistance();
     const lastDistance = this.golfBall.getLastShotDistance();
@@ -567,6 +821,24 @@ export default class Hole3Scene extends Phaser.Scene {
     this.windText.setText(`Wind: ${windInfo.speed} mph ${windInfo.compass}`);
   }
 
+  updateLieUI() {
+    // Show the lie the next shot will be played from (only once the ball settles)
+    if (this.golfBall.isTrackingDistance()) {
+      this.lieText.setText('Lie: -');
+      return;
+    }
+    
+    const lie = this.golfBall.getLie();
+    if (lie.type === 'green') {
+      // Green speed matters more than power on the putting surface
+      this.lieText.setText(`Lie: ${lie.name} (stimp ${this.hole.green.stimp})`);
+      return;
+    }
+    
+    const penalty = lie.power < 1 ? ` (${Math.round(lie.power * 100)}% power)` : '';
+    this.lieText.setText(`Lie: ${lie.name}${penalty}`);
+  }
+
   updateShotCounterUI() {
     this.shotCounterText.setText(`Shots: ${this.shotCount}`);
   }
@@ -679,17 +951,27 @@ export default class Hole3Scene extends Phaser.Scene {
     this.shotCount++;
     this.updateShotCounterUI();
     this.updateHoleInfoUI(); // Update hole info with new score
+    console.log(`Shot ${this.shotCount} taken`);
+  }
+
+  // Add a penalty stroke (water, out of bounds, lost ball, unplayable lie)
+  addPenaltyStroke() {
+    this.penaltyStrokes++;
+    this.incrementShotCounter();
   }
 
   resetShotCounter() {
     this.shotCount = 0;
+    this.penaltyStrokes = 0;
     this.updateShotCounterUI();
+    console.log('Shot counter reset for new hole');
   }
 
   switchCameraToBall() {
     if (!this.cameraFollowingBall) {
       this.cameras.main.startFollow(this.golfBall.sprite);
       this.cameraFollowingBall = true;
+      console.log('Camera switched to following ball');
     }
   }
   
@@ -697,12 +979,12 @@ export default class Hole3Scene extends Phaser.Scene {
     if (this.cameraFollowingBall) {
       this.cameras.main.startFollow(this.player.sprite);
       this.cameraFollowingBall = false;
+      console.log('Camera switched back to following player');
     }
   }
   
   updateCameraFollow() {
     const ballIsMoving = this.golfBall.isMoving();
-    const ballIsStablyStopped = this.golfBall.isStablyStopped(this.game.loop.delta);
     const playerIsMoving = this.player.isMoving();
     
     // Only switch back to following player when player starts moving (not automatically when ball stops)
@@ -714,6 +996,34 @@ export default class Hole3Scene extends Phaser.Scene {
     this.ballWasMoving = ballIsMoving;
   }
 
+  // Show a short message above the cup (near misses)
+  showCupMessage(message) {
+    const cup = this.terrain.cup;
+    const messageText = this.add.text(cup.x, cup.y - cup.flagstickHeight - 20, message, {
+      fontSize: '24px',
+      fill: '#ffff00',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    });
+    
+    messageText.setOrigin(0.5, 0.5);
+    messageText.setDepth(1000);
+    
+    // Float up and fade out
+    this.tweens.add({
+      targets: messageText,
+      y: messageText.y - 40,
+      alpha: 0,
+      duration: 1500,
+      ease: 'Power2',
+      onComplete: () => {
+        messageText.destroy();
+      }
+    });
+  }
+
   // Show damage indicator above enemy
   showDamageIndicator(damage, isCritical) {
     if (!this.enemy) return;
@@ -778,9 +1088,22 @@ export default class Hole3Scene extends Phaser.Scene {
   update() {
     const keys = this.keys;
 
-    // Handle restart on escape key
+    // Only draw the part of the hole on screen
+    this.terrain.update(this.cameras.main);
+
+    // Handle restart on escape key (test plays go back to the editor)
     if (Phaser.Input.Keyboard.JustDown(keys.esc)) {
-      this.restartGame();
+      if (this.editorHole) {
+        this.returnToEditor();
+      } else {
+        this.restartGame();
+      }
+      return;
+    }
+
+    // Number keys pick a relief option instead of a club while the ball is in a penalty area
+    if (this.penaltyReliefMenu) {
+      this.updatePenaltyReliefMenu(keys);
       return;
     }
 
@@ -788,21 +1111,32 @@ export default class Hole3Scene extends Phaser.Scene {
     if (Phaser.Input.Keyboard.JustDown(keys.one)) {
       this.clubManager.selectDriver();
       this.updateClubUI();
+      console.log('Switched to Driver');
     }
     
     if (Phaser.Input.Keyboard.JustDown(keys.two)) {
       this.clubManager.selectPutter();
       this.updateClubUI();
+      console.log('Switched to Putter');
     }
     
     if (Phaser.Input.Keyboard.JustDown(keys.three)) {
       this.clubManager.selectWedge();
       this.updateClubUI();
+      console.log('Switched to Wedge');
     }
     
     if (Phaser.Input.Keyboard.JustDown(keys.four)) {
       this.clubManager.selectIron();
       this.updateClubUI();
+      console.log('Switched to Iron');
+    }
+    
+    // Cycle the spin for the next shot through the ones the club can play
+    if (Phaser.Input.Keyboard.JustDown(keys.b)) {
+      const spin = this.clubManager.nextSpin();
+      this.updateClubUI();
+      console.log(`Spin: ${SPIN_SETTINGS[spin].name}`);
     }
     
     // Handle manual camera switching
@@ -819,77 +1153,310 @@ export default class Hole3Scene extends Phaser.Scene {
       this.resetShotCounter();
     }
     
-
+    // Play a provisional ball while the last shot may be out of bounds or lost
+    if (Phaser.Input.Keyboard.JustDown(keys.p)) {
+      this.declareProvisionalBall();
+    }
+    
+    // Declare the ball unplayable and take relief with a penalty stroke
+    if (Phaser.Input.Keyboard.JustDown(keys.u)) {
+      this.declareUnplayableLie();
+    }
 
     // Update player movement and animations
     this.player.update(keys);
 
     // Update power meter display
     this.updatePowerMeter();
+    
+    // Update aim preview while charging
+    this.updateTrajectoryPreview();
 
     // Check if player is trying to hit the ball (only during swing animation)
     if (this.player.isSwinging()) {
-      this.golfBall.checkHit(this.player, this.clubManager, keys);
+      this.golfBall.checkHit(this.player, this.clubManager);
     }
 
-    // Update wind system
-    this.windSystem.update(this.game.loop.delta);
+    // Ball, wind and projectile simulation runs in fixedUpdate - only refresh the UI here
     this.updateWindUI();
+    this.updateDistanceUI();
+    this.updateLieUI();
+    
+    // Update distance to pin
+    this.updateDistanceToPinUI();
+    
+    // Handle camera switching between player and ball
+    this.updateCameraFollow();
+    
+    // Update enemy, health bar and projectile hits on holes that have one
+    if (this.enemy) {
+      this.updateEnemy();
+    }
+    
+    // Update dropped balls
+    this.updateDroppedBalls();
+  }
 
-    // Update terrain physics for ball
-    this.golfBall.updateTerrainPhysics();
+  // Advance the simulation by one fixed physics step (delta in seconds)
+  // Runs on every arcade physics step rather than every rendered frame, so
+  // friction, wind and cooldowns give the same yardages at any frame rate
+  fixedUpdate(delta) {
+    const stepMs = delta * 1000;
+
+    // Update wind system
+    this.windSystem.update(stepMs);
 
-    // Apply wind effects to ball during flight
-    this.golfBall.applyWindEffects();
+    // Ball flight, roll and hazard checks (pass current club for different friction)
+    this.golfBall.fixedUpdate(stepMs, this.clubManager.getCurrentClub());
+    
+    // Keep the original ball going while a provisional is played, and settle it once it's decided
+    if (this.provisional) {
+      this.provisional.originalBall.fixedUpdate(stepMs, this.provisional.club);
+      if (this.provisional.ruling || !this.provisional.originalBall.isTrackingDistance()) {
+        this.resolveProvisionalBall();
+      }
+    }
 
-    // Apply ground friction when ball is rolling (pass current club for different friction)
-    const currentClubType = this.clubManager.getCurrentClub();
-    this.golfBall.applyGroundFriction(currentClubType);
+    // Update shot cooldown and clean up projectiles
+    this.player.updateProjectiles(stepMs);
+  }
 
-    // Update distance tracking
-    this.golfBall.updateDistance(this.game.loop.delta);
-    this.updateDistanceUI();
+  // Create white stakes at the out-of-bounds lines
+  createOutOfBoundsStakes() {
+    const stakes = this.add.graphics();
+    stakes.setDepth(4); // Just behind the player and ball
+    
+    [this.hole.outOfBounds.left, this.hole.outOfBounds.right].forEach(x => {
+      const groundY = this.terrain.getHeightAtX(x);
+      stakes.fillStyle(0xffffff);
+      stakes.fillRect(x - 3, groundY - 40, 6, 40);
+      stakes.lineStyle(1, 0x000000);
+      stakes.strokeRect(x - 3, groundY - 40, 6, 40);
+      
+      this.add.text(x, groundY - 44, 'OB', {
+        fontSize: '14px',
+        fill: '#ffffff',
+        stroke: '#000000',
+        strokeThickness: 2,
+        fontFamily: 'Arial'
+      }).setOrigin(0.5, 1).setDepth(4);
+    });
+  }
+
+  // Hit a provisional from the same spot while the original ball is still moving
+  // The original carries on as its own ball: if it ends up out of bounds or lost the
+  // provisional is in play, otherwise the provisional (and its strokes) are abandoned
+  declareProvisionalBall() {
+    const ball = this.golfBall;
+    if (this.provisional || ball.holeCompleted || !ball.isTrackingDistance()) {
+      console.log('Provisional ball can only be played while the last shot is still moving');
+      return;
+    }
     
-    // Always check for ball stabilization (even when not tracking distance)
-    this.golfBall.isStablyStopped(this.game.loop.delta);
+    // Hand the original's flight over to a second ball
+    const originalBall = new GolfBall(this, ball.sprite.x, ball.sprite.y);
+    originalBall.setTerrain(this.terrain);
+    originalBall.setWindSystem(this.windSystem);
+    originalBall.setRandom(this.random.fork(`provisional-${this.shotCount}`));
+    originalBall.sprite.setDepth(5);
+    originalBall.sprite.setAlpha(0.7); // Tell it apart from the provisional
+    originalBall.startDistanceTracking();
+    originalBall.sprite.body.setVelocity(ball.sprite.body.velocity.x, ball.sprite.body.velocity.y);
+    originalBall.shotOrigin = ball.shotOrigin;
+    originalBall.spin = { ...ball.spin };
+    originalBall.spinDirection = ball.spinDirection;
+    originalBall.spinAirborne = ball.spinAirborne;
+    
+    this.provisional = {
+      originalBall: originalBall,
+      club: this.clubManager.getCurrentClub(), // Club the original was hit with (for its roll)
+      shotCount: this.shotCount, // Strokes before any provisional is played
+      penaltyStrokes: this.penaltyStrokes,
+      ruling: null, // How the original ended up, once known
+      reliefOptions: null, // Penalty area relief for the original, if it went in the water
+      tree: null // Tree the original got stuck in, if it did
+    };
+    originalBall.setOnOutOfBoundsCallback((ruling) => { this.provisional.ruling = ruling; });
+    originalBall.setOnPenaltyAreaCallback((options) => {
+      this.provisional.ruling = 'water';
+      this.provisional.reliefOptions = options;
+    });
+    originalBall.setOnStuckInTreeCallback((options, tree) => {
+      this.provisional.ruling = 'stuckInTree';
+      this.provisional.tree = tree;
+    });
+    originalBall.setOnHoleCompletedCallback(() => { this.provisional.ruling = 'holed'; });
     
-    // Check for water collision (runs every frame)
-    this.golfBall.checkWaterCollision();
+    // The new GolfBall took over the resetBall console command
+    if (typeof window !== 'undefined') {
+      window.resetBall = () => ball.resetBall();
+    }
     
-    // Check for bunker collision (runs every frame)
-    this.golfBall.checkBunkerCollision();
+    // Provisional is played from where the original was hit
+    ball.sprite.body.setVelocity(0, 0);
+    ball.stopDistanceTracking();
+    ball.sprite.setPosition(ball.shotOrigin.x, ball.shotOrigin.y);
+    ball.stabilizeBall();
+    this.switchCameraToPlayer();
     
-    // Check for target circle collision (runs every frame)
-    this.golfBall.checkTargetCircleCollision();
+    this.showRulingMessage('Provisional ball');
+    console.log('Provisional ball declared - original ball still in play until it comes to rest');
+  }
+
+  // The original ball's fate is known - keep the provisional or go back to the original
+  resolveProvisionalBall() {
+    const { originalBall, ruling, shotCount, penaltyStrokes, reliefOptions, tree } = this.provisional;
+    this.provisional = null;
+    
+    if (ruling === 'outOfBounds' || ruling === 'lost') {
+      // Provisional is in play under stroke and distance
+      this.addPenaltyStroke();
+      this.showRulingMessage(`${ruling === 'lost' ? 'Lost ball' : 'Out of bounds'} - provisional ball in play`);
+    } else {
+      // Original is in play - the provisional and any strokes played with it don't count
+      this.shotCount = shotCount;
+      this.penaltyStrokes = penaltyStrokes;
+      this.updateShotCounterUI();
+      this.updateHoleInfoUI();
+      
+      this.golfBall.sprite.body.setVelocity(0, 0);
+      this.golfBall.stopDistanceTracking();
+      this.golfBall.sprite.setPosition(originalBall.sprite.x, originalBall.sprite.y);
+      this.golfBall.shotOrigin = originalBall.shotOrigin;
+      this.golfBall.stabilizeBall();
+      
+      if (ruling === 'water') {
+        // Player takes relief for the original (the penalty stroke is added once they choose)
+        this.golfBall.offerRelief(reliefOptions);
+      } else if (ruling === 'stuckInTree') {
+        // Original is up the tree - put the ball back there and take unplayable relief
+        this.golfBall.unstabilizeBall();
+        this.golfBall.sprite.setPosition(originalBall.sprite.x, originalBall.sprite.y);
+        this.golfBall.lodgeInTree(tree);
+      } else if (ruling === 'holed') {
+        this.golfBall.holeCompleted = true;
+        this.golfBall.sprite.setVisible(false);
+        this.completeHole();
+      } else {
+        this.showRulingMessage('Original ball found - provisional abandoned');
+      }
+    }
     
-    // Update distance to pin
-    this.updateDistanceToPinUI();
+    originalBall.destroy();
+    console.log(`Provisional resolved: original ball ${ruling || 'in bounds'}`);
+  }
+
+  // Declare the ball unplayable where it lies (the penalty stroke is added once relief is taken)
+  declareUnplayableLie() {
+    if (this.shotCount === 0 || this.provisional) {
+      console.log('Unplayable lie can only be declared for a ball in play');
+      return;
+    }
     
-    // Update enemy health bar
-    this.updateEnemyHealthBar();
+    const options = this.golfBall.declareUnplayable();
+    if (options) {
+      this.showPenaltyReliefMenu(options, 'unplayable');
+    }
+  }
+
+  // Ask the player how to take relief from a penalty area or unplayable lie (keys 1-3)
+  // reason is 'penaltyArea', 'unplayable' (declared, so it can be called off) or 'stuckInTree'
+  showPenaltyReliefMenu(options, reason = 'penaltyArea') {
+    const centerX = this.cameras.main.width / 2;
+    const centerY = this.cameras.main.height / 2;
+    const pinX = this.terrain.getPinPosition().x;
     
-    // Handle camera switching between player and ball
-    this.updateCameraFollow();
+    const lines = options.map((option, index) => {
+      const detail = option.valid
+        ? `${this.golfBall.pixelsToYards(Math.abs(pinX - option.x))} yds to pin`
+        : 'no legal spot';
+      return `${index + 1}  ${option.name} - ${detail}`;
+    });
     
-    // Update enemy behavior
-    if (this.enemy && this.enemy.isAlive()) {
-      this.enemy.update();
+    const headings = {
+      penaltyArea: ['In the water! One penalty stroke.', 'Choose your relief:'],
+      unplayable: ['Unplayable lie - one penalty stroke.', 'Choose your relief (U to play it as it lies):'],
+      stuckInTree: ['Stuck in a tree - unplayable, one penalty stroke.', 'Choose your relief:']
+    };
+    const heading = headings[reason];
+    
+    const menuText = this.add.text(centerX, centerY, [
+      ...heading,
+      '',
+      ...lines
+    ].join('\n'), {
+      fontSize: '22px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+      fontFamily: 'Arial',
+      align: 'left',
+      backgroundColor: 'rgba(0, 40, 80, 0.8)',
+      padding: { x: 20, y: 16 }
+    });
+    menuText.setOrigin(0.5);
+    menuText.setScrollFactor(0);
+    menuText.setDepth(1000);
+    
+    this.penaltyReliefMenu = { options: options, reason: reason, text: menuText };
+  }
+
+  // Take the relief option picked with the number keys
+  updatePenaltyReliefMenu(keys) {
+    const { reason } = this.penaltyReliefMenu;
+    
+    // An unplayable lie can be called off until relief is taken
+    if (reason === 'unplayable' && Phaser.Input.Keyboard.JustDown(keys.u)) {
+      this.penaltyReliefMenu.text.destroy();
+      this.penaltyReliefMenu = null;
+      this.golfBall.cancelUnplayable();
+      return;
     }
     
-    // Check if we're in pursuit mode (Frank is aggro and hole is completed)
-    this.isPursuitMode = this.enemy.isInAggro() && this.golfBall.holeCompleted;
+    const optionKeys = [keys.one, keys.two, keys.three];
+    const index = optionKeys.findIndex(key => Phaser.Input.Keyboard.JustDown(key));
+    if (index === -1) return;
     
-    // Debug pursuit mode
-    if (this.isPursuitMode && this.ballDropTimer === 0) {
-      console.log('Pursuit mode detected - Frank is aggro and hole is completed');
+    const option = this.penaltyReliefMenu.options[index];
+    if (!option || !option.valid) {
+      this.showRulingMessage('No legal spot for that option');
+      return;
     }
     
+    this.penaltyReliefMenu.text.destroy();
+    this.penaltyReliefMenu = null;
+    this.golfBall.takeRelief(option.type);
     
-    // Check projectile-enemy collisions
-    this.checkProjectileEnemyCollisions();
+    // Water penalties come through the ball's water penalty callback
+    if (reason === 'unplayable' || reason === 'stuckInTree') {
+      this.addPenaltyStroke();
+      this.showRulingMessage(`Unplayable lie - ${option.name.toLowerCase()}`);
+    }
+  }
+
+  // Show a rules message (penalties, provisional ball) across the top of the screen
+  showRulingMessage(message) {
+    const rulingText = this.add.text(this.cameras.main.width / 2, 180, message, {
+      fontSize: '28px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+      fontFamily: 'Arial'
+    });
+    rulingText.setOrigin(0.5, 0.5);
+    rulingText.setScrollFactor(0);
+    rulingText.setDepth(1000);
     
-    // Update dropped balls
-    this.updateDroppedBalls();
+    // Hold, then fade out
+    this.tweens.add({
+      targets: rulingText,
+      alpha: 0,
+      delay: 2000,
+      duration: 500,
+      onComplete: () => {
+        rulingText.destroy();
+      }
+    });
   }
 
   // Create flag at hole position
@@ -906,12 +1473,12 @@ export default class Hole3Scene extends Phaser.Scene {
     this.flag.setOrigin(0.5, 1); // Bottom-center origin so flag sits on ground
     this.flag.setDepth(10); // Above other game elements
     this.flag.setScale(0.8); // Slightly smaller for better proportion
+    
+    console.log(`Flag created at position: x=${Math.round(pinPosition.x)}, y=${Math.round(terrainHeight + 10)} (10px below terrain)`);
   }
 
-  // Create enemy in front of the green
-  createEnemy() {
-    // Position enemy in front of the green (green starts at x=5000)
-    const enemyX = 4600; // 200 pixels before green starts
+  // Create enemy at the position given by the hole definition
+  createEnemy(enemyX) {
     const enemyY = this.terrain.getHeightAtX(enemyX) - 5; // Move down 5 pixels to sit on terrain
     
     // Create enemy
@@ -924,11 +1491,29 @@ export default class Hole3Scene extends Phaser.Scene {
     this.enemy.setFireballSound(this.fireballSound);
     this.enemy.setBossfightSound(this.bossfightSound);
     this.enemy.setHurtSound(this.hurtSound);
+    this.enemy.setRandom(this.random.fork('enemy'));
     
     // Set up collision between enemy and golf ball
     this.physics.add.collider(this.golfBall.sprite, this.enemy.sprite, this.handleBallEnemyCollision, null, this);
   }
 
+  // Update enemy behavior, pursuit state and health bar
+  updateEnemy() {
+    // Update enemy health bar
+    this.updateEnemyHealthBar();
+    
+    // Update enemy behavior
+    if (this.enemy.isAlive()) {
+      this.enemy.update();
+    }
+    
+    // Check if we're in pursuit mode (Frank is aggro and hole is completed)
+    this.isPursuitMode = this.enemy.isInAggro() && this.golfBall.holeCompleted;
+    
+    // Check projectile-enemy collisions
+    this.checkProjectileEnemyCollisions();
+  }
+
   // Create enemy walking animations
   createEnemyAnimations() {
     // Enemy walking animation (right-facing)
@@ -979,7 +1564,7 @@ export default class Hole3Scene extends Phaser.Scene {
       
       // Apply bounce with reduced speed
       const bounceSpeed = ballSpeed * 0.6; // Reduce speed by 40%
-      const bounceAngle = Math.random() * 0.5 - 0.25; // Random angle variation
+      const bounceAngle = this.random.next() * 0.5 - 0.25; // Random angle variation
       
       this.golfBall.setVelocity(
         direction * bounceSpeed * Math.cos(bounceAngle),
@@ -989,14 +1574,11 @@ export default class Hole3Scene extends Phaser.Scene {
   }
 
   // Restart game from current hole
-  restartGame() {    
+  restartGame() {
+    console.log(`Restarting game from current hole (Hole ${this.hole.number})`);
+    
     // Stop all sounds to prevent layering
-    if (this.bossfightSound && this.bossfightSound.isPlaying) {
-      this.bossfightSound.stop();
-    }
-    if (this.backgroundMusic && this.backgroundMusic.isPlaying) {
-      this.backgroundMusic.stop();
-    }
+    this.stopHoleSounds();
     
     // Remove game over message if it exists
     if (this.player && this.player.removeGameOverMessage) {
@@ -1008,15 +1590,25 @@ export default class Hole3Scene extends Phaser.Scene {
       this.player.resetPlayerState();
     }
     
-    // Restart current scene (Hole 3)
-    this.scene.restart();
+    // Restart current scene with the same hole
+    this.scene.restart({ hole: this.hole, editorHole: this.editorHole });
+  }
+
+  // Stop looping music so it doesn't layer when the scene restarts
+  stopHoleSounds() {
+    if (this.bossfightSound && this.bossfightSound.isPlaying) {
+      this.bossfightSound.stop();
+    }
+    if (this.backgroundMusic && this.backgroundMusic.isPlaying) {
+      this.backgroundMusic.stop();
+      console.log('Background music stopped');
+    }
   }
 
   // Update all dropped balls
   updateDroppedBalls() {
     if (!this.droppedBalls) return;
     
-    
     // Update each dropped ball
     for (let i = this.droppedBalls.length - 1; i >= 0; i--) {
       const droppedBall = this.droppedBalls[i];
@@ -1061,12 +1653,12 @@ export default class Hole3Scene extends Phaser.Scene {
         }
         
         // Calculate damage with critical hit chance
-        const isCritical = Math.random() < 0.25; // 25% chance for critical hit
+        const isCritical = this.random.next() < 0.25; // 25% chance for critical hit
         let baseDamage;
         if (isCritical) {
-          baseDamage = 12 + Math.floor(Math.random() * 6); // Critical: 12-17 damage
+          baseDamage = 12 + Math.floor(this.random.next() * 6); // Critical: 12-17 damage
         } else {
-          baseDamage = 5 + Math.floor(Math.random() * 4); // Normal: 5-8 damage
+          baseDamage = 5 + Math.floor(this.random.next() * 4); // Normal: 5-8 damage
         }
         
         // Apply health-based damage scaling
@@ -1094,7 +1686,7 @@ export default class Hole3Scene extends Phaser.Scene {
         this.enemy.takeDamage(damageAmount);
         
         // Check if Frank should drop balls (1/3 chance)
-        if (this.isPursuitMode && Math.random() < 0.33) {
+        if (this.isPursuitMode && this.random.next() < 0.33) {
           this.dropBallFromFrank(this.enemy.sprite.x, this.enemy.sprite.y);
         }
         
@@ -1116,14 +1708,14 @@ export default class Hole3Scene extends Phaser.Scene {
   // Drop multiple balls from Frank's position with scattering
   dropBallFromFrank(frankX, frankY) {
     // Determine how many balls to drop (3-10)
-    const numBalls = 3 + Math.floor(Math.random() * 8);
+    const numBalls = 3 + Math.floor(this.random.next() * 8);
     
     console.log(`Frank is dropping ${numBalls} balls at (${frankX}, ${frankY})`);
     
     for (let i = 0; i < numBalls; i++) {
       // Calculate scatter position around Frank
-      const scatterDistance = 40 + Math.random() * 80; // 40-120 pixels from Frank
-      const scatterAngle = Math.random() * Math.PI * 2; // Random direction
+      const scatterDistance = 40 + this.random.next() * 80; // 40-120 pixels from Frank
+      const scatterAngle = this.random.next() * Math.PI * 2; // Random direction
       
       const scatterX = frankX + Math.cos(scatterAngle) * scatterDistance;
       const scatterY = frankY + Math.sin(scatterAngle) * scatterDistance;
@@ -1139,8 +1731,8 @@ export default class Hole3Scene extends Phaser.Scene {
       // Add slight physics to make balls bounce and roll
       if (collectibleBall.sprite.body) {
         // Add random velocity for bouncing effect
-        const bounceX = (Math.random() - 0.5) * 200;
-        const bounceY = -80 - Math.random() * 80; // Upward bounce
+        const bounceX = (this.random.next() - 0.5) * 200;
+        const bounceY = -80 - this.random.next() * 80; // Upward bounce
         collectibleBall.sprite.body.setVelocity(bounceX, bounceY);
       }
     }
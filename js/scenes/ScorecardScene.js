@@ -0,0 +1,206 @@
+import { courseManager } from '../CourseManager.js';
+import { getScoreName, formatScoreToPar } from '../scoring.js';
+import { saveManager } from '../SaveManager.js';
+
+/**
+ * ScorecardScene - End-of-round scorecard with replay and title screen options
+ */
+class ScorecardScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ScorecardScene' });
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+
+    // Create sky background
+    this.add.tileSprite(0, 0, width, height, "sky").setOrigin(0, 0);
+
+    // Dark panel behind the card so it reads over the sky
+    this.add.rectangle(width / 2, height / 2, width - 120, height - 40, 0x000000, 0.6);
+
+    // Course title
+    const courseName = courseManager.course ? courseManager.course.name : 'Golf Course';
+    this.add.text(width / 2, 50, `${courseName} - Scorecard`, {
+      fontSize: '36px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+      fontFamily: 'Arial'
+    }).setOrigin(0.5, 0.5);
+
+    // Round seed, so the round can be replayed or reported
+    this.add.text(width - 80, 50, `Seed: ${courseManager.getSeed()}`, {
+      fontSize: '14px',
+      fill: '#cccccc',
+      fontFamily: 'Arial'
+    }).setOrigin(1, 0.5);
+
+    // Table columns (x position and alignment)
+    this.columns = {
+      hole: { x: 200, originX: 0.5 },
+      yardage: { x: 320, originX: 0.5 },
+      par: { x: 430, originX: 0.5 },
+      score: { x: 540, originX: 0.5 },
+      penalties: { x: 640, originX: 0.5 },
+      result: { x: 720, originX: 0 }
+    };
+
+    this.createScorecardTable();
+    this.createTotals();
+
+    // Replay / title options
+    const optionsText = this.add.text(width / 2, height - 45, 'Enter: Play again    Esc: Title screen', {
+      fontSize: '24px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial'
+    });
+    optionsText.setOrigin(0.5, 0.5);
+
+    // Add blinking effect to the options text
+    this.tweens.add({
+      targets: optionsText,
+      alpha: 0.4,
+      duration: 1000,
+      yoyo: true,
+      repeat: -1,
+      ease: 'Power2'
+    });
+
+    // Set up keyboard input
+    this.keys = this.input.keyboard.addKeys({
+      enter: Phaser.Input.Keyboard.KeyCodes.ENTER,
+      esc: Phaser.Input.Keyboard.KeyCodes.ESC
+    });
+  }
+
+  createScorecardTable() {
+    const scorecard = courseManager.getScorecard();
+    const frontNine = scorecard.filter(entry => entry.nine === 'front');
+    const backNine = scorecard.filter(entry => entry.nine === 'back');
+    const showNineTotals = frontNine.length > 0 && backNine.length > 0;
+
+    // Rows: one per hole, OUT/IN subtotals when both nines were played
+    const rows = [];
+    frontNine.forEach(entry => rows.push({ type: 'hole', entry }));
+    if (showNineTotals) {
+      rows.push({ type: 'total', label: 'OUT', totals: courseManager.getScorecardTotals(frontNine) });
+    }
+    backNine.forEach(entry => rows.push({ type: 'hole', entry }));
+    if (showNineTotals) {
+      rows.push({ type: 'total', label: 'IN', totals: courseManager.getScorecardTotals(backNine) });
+    }
+
+    // Fit the rows between the header and the totals
+    const headerY = 105;
+    const tableTop = headerY + 30;
+    const tableBottom = this.cameras.main.height - 150;
+    const rowHeight = Math.min(32, (tableBottom - tableTop) / Math.max(rows.length, 1));
+    const fontSize = `${Math.max(14, Math.floor(rowHeight * 0.75))}px`;
+
+    // Header row
+    this.addRow(headerY, {
+      hole: 'Hole',
+      yardage: 'Yards',
+      par: 'Par',
+      score: 'Strokes',
+      penalties: 'Pen',
+      result: 'Result'
+    }, { fontSize: '22px', fill: '#ffff00' });
+
+    rows.forEach((row, index) => {
+      const y = tableTop + rowHeight * index + rowHeight / 2;
+
+      if (row.type === 'hole') {
+        const entry = row.entry;
+        this.addRow(y, {
+          hole: `${entry.hole}`,
+          yardage: `${entry.yardage}`,
+          par: `${entry.par}`,
+          score: entry.completed ? `${entry.score}` : '-',
+          penalties: entry.completed && entry.penalties > 0 ? `${entry.penalties}` : '',
+          result: entry.completed ? getScoreName(entry.score, entry.par) : ''
+        }, { fontSize, fill: '#ffffff' }, entry.completed ? this.getResultColor(entry.score - entry.par) : '#ffffff');
+      } else {
+        this.addRow(y, {
+          hole: row.label,
+          yardage: `${row.totals.yardage}`,
+          par: `${row.totals.par}`,
+          score: `${row.totals.score}`,
+          penalties: `${row.totals.penalties}`,
+          result: formatScoreToPar(row.totals.scoreToPar)
+        }, { fontSize, fill: '#ffff00' });
+      }
+    });
+  }
+
+  createTotals() {
+    const { width, height } = this.cameras.main;
+    const totals = courseManager.getScorecardTotals(courseManager.getScorecard());
+
+    const totalText = this.add.text(width / 2, height - 100,
+      `Total: ${totals.score} strokes (Par ${totals.par})  |  To par: ${formatScoreToPar(totals.scoreToPar)}`, {
+      fontSize: '28px',
+      fill: this.getResultColor(totals.scoreToPar),
+      stroke: '#000000',
+      strokeThickness: 4,
+      fontFamily: 'Arial'
+    });
+    totalText.setOrigin(0.5, 0.5);
+    
+    // Best round on this course from the saved history
+    const best = courseManager.course ? saveManager.getBestRound(courseManager.course.id, courseManager.roundType) : null;
+    if (best) {
+      const roundsPlayed = saveManager.getCompletedRounds().length;
+      const bestText = this.add.text(width / 2, height - 72,
+        `Best: ${best.strokes} (${formatScoreToPar(best.scoreToPar)})  |  Rounds played: ${roundsPlayed}`, {
+        fontSize: '18px',
+        fill: '#ffffff',
+        stroke: '#000000',
+        strokeThickness: 2,
+        fontFamily: 'Arial'
+      });
+      bestText.setOrigin(0.5, 0.5);
+    }
+  }
+
+  // Add one line of the table, one text object per column
+  addRow(y, values, style, resultColor) {
+    Object.keys(this.columns).forEach(column => {
+      const { x, originX } = this.columns[column];
+      const text = this.add.text(x, y, values[column], {
+        fontSize: style.fontSize,
+        fill: column === 'result' && resultColor ? resultColor : style.fill,
+        stroke: '#000000',
+        strokeThickness: 2,
+        fontFamily: 'Arial'
+      });
+      text.setOrigin(originX, 0.5);
+    });
+  }
+
+  // Colour a score by how it compares to par
+  getResultColor(scoreToPar) {
+    if (scoreToPar < 0) return '#FFD700'; // Gold for under par
+    if (scoreToPar === 0) return '#ffffff'; // White for par
+    return '#ff9999'; // Light red for over par
+  }
+
+  update() {
+    // Replay the same holes
+    if (Phaser.Input.Keyboard.JustDown(this.keys.enter)) {
+      courseManager.startRound(courseManager.roundType);
+      this.scene.start(courseManager.getCurrentSceneName(), { hole: courseManager.getCurrentHoleDefinition() });
+      return;
+    }
+
+    // Return to the title screen
+    if (Phaser.Input.Keyboard.JustDown(this.keys.esc)) {
+      this.scene.start('TitleScene');
+    }
+  }
+}
+
+export default ScorecardScene;
@@ -1,3 +1,10 @@
+import { courseManager } from '../CourseManager.js';
+import { COURSES } from '../CourseLoader.js';
+import { getRandomCourseSeed, getRandomCourseName } from '../HoleGenerator.js';
+import { saveManager } from '../SaveManager.js';
+import { DEFAULT_DIFFICULTY, getDifficulty, getNextDifficulty } from '../difficulty.js';
+import { SWING_MODES, SWING_MODE_NAMES } from '../SwingMeter.js';
+
 /**
  * TitleScene - Main menu/title screen
  */
@@ -11,9 +18,17 @@ class TitleScene extends Phaser.Scene {
     this.load.image("sky", "assets/course/sky.png");
     this.load.image("logo", "assets/golfer/logo.png");
     this.load.audio("titlescreen", "assets/sounds/titlescreen.mp3");
+    
+    // Load the course files that define every hole
+    COURSES.forEach(course => {
+      this.load.json(course.key, course.url);
+    });
   }
 
   create() {
+    // Build the course from the loaded hole definitions (default course on first visit)
+    this.selectCourse(this.courseIndex || 0);
+    
     // Set camera size
     const { width, height } = this.cameras.main;
     
@@ -36,6 +51,60 @@ class TitleScene extends Phaser.Scene {
     });
     pressEnterText.setOrigin(0.5, 0.5);
     
+    // Create course info and round selection text
+    this.courseText = this.add.text(width / 2, height / 2 + 225, '', {
+      fontSize: '22px',
+      fill: '#ffff00',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial',
+      align: 'center'
+    });
+    this.courseText.setOrigin(0.5, 0.5);
+    this.updateCourseText();
+    
+    // Aim assist difficulty and swing mode (saved with the player settings)
+    this.difficultyText = this.add.text(width / 2, height - 75, '', {
+      fontSize: '18px',
+      fill: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3,
+      fontFamily: 'Arial',
+      align: 'center'
+    });
+    this.difficultyText.setOrigin(0.5, 0.5);
+    this.updateDifficultyText();
+    
+    // Offer to continue a saved round
+    this.savedRound = saveManager.getSavedRound();
+    this.savedCourseIndex = this.savedRound ? this.findCourseIndex(this.savedRound.courseId) : -1;
+    this.savedRandomSeed = this.savedRound ? getRandomCourseSeed(this.savedRound.courseId) : null;
+    if (this.canContinue()) {
+      const courseName = this.savedRandomSeed !== null
+        ? getRandomCourseName(this.savedRandomSeed)
+        : this.cache.json.get(COURSES[this.savedCourseIndex].key).name;
+      const continueText = this.add.text(width / 2, height - 40, `C: Continue round - Hole ${this.savedRound.currentHole}, ${courseName}`, {
+        fontSize: '22px',
+        fill: '#ffffff',
+        stroke: '#000000',
+        strokeThickness: 3,
+        fontFamily: 'Arial',
+        align: 'center'
+      });
+      continueText.setOrigin(0.5, 0.5);
+    } else if (saveManager.isReadOnly()) {
+      // Stored save couldn't be read - it's kept in a backup and nothing is saved over it
+      const warningText = this.add.text(width / 2, height - 40, 'Save data could not be read - progress will not be saved', {
+        fontSize: '18px',
+        fill: '#ff8080',
+        stroke: '#000000',
+        strokeThickness: 3,
+        fontFamily: 'Arial',
+        align: 'center'
+      });
+      warningText.setOrigin(0.5, 0.5);
+    }
+    
     // Add blinking effect to the text
     this.tweens.add({
       targets: pressEnterText,
@@ -48,7 +117,17 @@ class TitleScene extends Phaser.Scene {
     
     // Set up keyboard input
     this.keys = this.input.keyboard.addKeys({
-      enter: Phaser.Input.Keyboard.KeyCodes.ENTER
+      enter: Phaser.Input.Keyboard.KeyCodes.ENTER,
+      left: Phaser.Input.Keyboard.KeyCodes.LEFT,
+      right: Phaser.Input.Keyboard.KeyCodes.RIGHT,
+      front: Phaser.Input.Keyboard.KeyCodes.F,
+      back: Phaser.Input.Keyboard.KeyCodes.B,
+      continue: Phaser.Input.Keyboard.KeyCodes.C,
+      daily: Phaser.Input.Keyboard.KeyCodes.D,
+      random: Phaser.Input.Keyboard.KeyCodes.R,
+      editor: Phaser.Input.Keyboard.KeyCodes.E,
+      difficulty: Phaser.Input.Keyboard.KeyCodes.A,
+      swingMode: Phaser.Input.Keyboard.KeyCodes.S
     });
     
     // Play title screen music
@@ -57,14 +136,123 @@ class TitleScene extends Phaser.Scene {
       }
 
   update() {
-    // Check for Enter key press
+    // Cycle through the available courses
+    if (Phaser.Input.Keyboard.JustDown(this.keys.left)) {
+      this.selectCourse((this.courseIndex + COURSES.length - 1) % COURSES.length);
+    }
+    if (Phaser.Input.Keyboard.JustDown(this.keys.right)) {
+      this.selectCourse((this.courseIndex + 1) % COURSES.length);
+    }
+    
+    // Generate a new random course to play
+    if (Phaser.Input.Keyboard.JustDown(this.keys.random)) {
+      courseManager.loadRandomCourse();
+      this.updateCourseText();
+    }
+    
+    // Cycle the aim assist difficulty
+    if (Phaser.Input.Keyboard.JustDown(this.keys.difficulty)) {
+      const current = saveManager.getSetting('difficulty', DEFAULT_DIFFICULTY);
+      saveManager.setSetting('difficulty', getNextDifficulty(current));
+      this.updateDifficultyText();
+    }
+    
+    // Switch between holding to charge and the three-click swing meter
+    if (Phaser.Input.Keyboard.JustDown(this.keys.swingMode)) {
+      const current = saveManager.getSetting('swingMode', SWING_MODES.HOLD);
+      saveManager.setSetting('swingMode', current === SWING_MODES.HOLD ? SWING_MODES.CLASSIC : SWING_MODES.HOLD);
+      this.updateDifficultyText();
+    }
+    
+    // Enter plays the full course, F/B play the front or back nine
     if (Phaser.Input.Keyboard.JustDown(this.keys.enter)) {
-      // Stop title music before transitioning
-      if (this.titleMusic && this.titleMusic.isPlaying) {
-        this.titleMusic.stop();
-      }
-      this.scene.start('Hole1Scene');
+      this.startRound('full');
+    } else if (Phaser.Input.Keyboard.JustDown(this.keys.front) && courseManager.hasBackNine()) {
+      this.startRound('front');
+    } else if (Phaser.Input.Keyboard.JustDown(this.keys.back) && courseManager.hasBackNine()) {
+      this.startRound('back');
+    } else if (Phaser.Input.Keyboard.JustDown(this.keys.daily)) {
+      // Everyone playing today gets the same wind, shot variation and drops
+      this.startRound('full', `daily-${new Date().toISOString().slice(0, 10)}`);
+    } else if (Phaser.Input.Keyboard.JustDown(this.keys.continue) && this.canContinue()) {
+      this.continueRound();
+    } else if (Phaser.Input.Keyboard.JustDown(this.keys.editor)) {
+      // Edit the first hole of the selected course
+      this.titleMusic.stop();
+      this.scene.start('EditorScene', { hole: courseManager.getCurrentHoleDefinition() });
+    }
+  }
+
+  // Find which course file a saved round was played on
+  findCourseIndex(courseId) {
+    return COURSES.findIndex(course => {
+      const data = this.cache.json.get(course.key);
+      return data && data.id === courseId;
+    });
+  }
+
+  // Check if the saved round's course is a course file or a generated course
+  canContinue() {
+    return this.savedCourseIndex >= 0 || this.savedRandomSeed !== null;
+  }
+
+  // Resume the saved round on its course (generated courses are rebuilt from their seed)
+  continueRound() {
+    if (this.savedRandomSeed !== null) {
+      courseManager.loadRandomCourse(this.savedRandomSeed);
+    } else {
+      this.selectCourse(this.savedCourseIndex);
+    }
+    if (!courseManager.restoreRoundState(this.savedRound)) {
+      // Saved round no longer fits the course file, so drop it
+      saveManager.clearRound();
+      this.titleMusic.stop();
+      this.scene.restart();
+      return;
+    }
+    this.startHole();
+  }
+
+  // Load one of the course files into the course manager
+  selectCourse(index) {
+    this.courseIndex = index;
+    courseManager.loadCourse(this.cache.json.get(COURSES[index].key));
+    this.updateCourseText();
+  }
+
+  updateCourseText() {
+    if (!this.courseText) return;
+    
+    const course = courseManager.course;
+    let text = `${course.name} - ${courseManager.getTotalHoles()} holes`;
+    if (COURSES.length > 1) {
+      text = `< ${text} >`;
+    }
+    if (courseManager.hasBackNine()) {
+      text += '\nF: Front nine   B: Back nine   D: Daily challenge   R: Random course';
+    } else {
+      text += '\nD: Daily challenge   R: Random course';
+    }
+    this.courseText.setText(text);
+  }
+
+  updateDifficultyText() {
+    const difficulty = getDifficulty(saveManager.getSetting('difficulty', DEFAULT_DIFFICULTY));
+    const swingMode = saveManager.getSetting('swingMode', SWING_MODES.HOLD);
+    this.difficultyText.setText(`A: Aim assist - ${difficulty.name}    S: Swing - ${SWING_MODE_NAMES[swingMode]}    E: Hole editor`);
+  }
+
+  startRound(roundType, seed) {
+    if (!courseManager.startRound(roundType, seed)) return;
+    this.startHole();
+  }
+
+  startHole() {
+    // Stop title music before transitioning
+    if (this.titleMusic && this.titleMusic.isPlaying) {
+      this.titleMusic.stop();
     }
+    this.scene.start(courseManager.getCurrentSceneName(), { hole: courseManager.getCurrentHoleDefinition() });
   }
 }
 
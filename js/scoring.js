@@ -0,0 +1,32 @@
+/**
+ * Scoring helpers shared by the hole and scorecard scenes
+ */
+
+// Get the golf name for a score on a hole (Birdie, Par, Bogey, ...)
+export function getScoreName(strokes, par) {
+  // Special case: Hole-in-one (1 stroke on any hole)
+  if (strokes === 1) {
+    return 'HOLE IN ONE! 🎉';
+  }
+  
+  const diff = strokes - par;
+  if (diff <= -4) return 'Condor!';
+  if (diff === -3) return 'Albatross!';
+  if (diff === -2) return 'Eagle!';
+  if (diff === -1) return 'Birdie!';
+  if (diff === 0) return 'Par';
+  if (diff === 1) return 'Bogey';
+  if (diff === 2) return 'Double Bogey';
+  if (diff === 3) return 'Triple Bogey';
+  return `+${diff}`;
+}
+
+// Format a score relative to par - "E" for even par, +/- for others
+export function formatScoreToPar(scoreToPar) {
+  if (scoreToPar === 0) {
+    return 'E';
+  } else if (scoreToPar > 0) {
+    return `+${scoreToPar}`;
+  }
+  return `${scoreToPar}`; // Already has negative sign
+}
@@ -0,0 +1,47 @@
+/**
+ * Spin - Backspin, topspin and sidespin put on the ball at impact
+ *
+ * The player picks a spin before each shot from the ones the club can play
+ * (CLUB_PROPERTIES[club].spins), and the club decides how much of it the ball
+ * takes (spinAmount). GolfBall carries the spin through the shot:
+ *
+ *   back - backspin is positive, topspin negative (-1 to 1)
+ *   side - fade spin is positive, draw spin negative (-1 to 1)
+ *
+ * Spin wears off while the ball flies and rolls. In the air backspin holds the
+ * ball up and topspin brings it down sooner, and sidespin curves it off line,
+ * costing forward distance. On landing backspin kills the forward bounce (and
+ * spins the ball back on a green) while topspin skids it on, a fade lands soft
+ * and a draw releases. How much the landing takes depends on how well the
+ * surface grips the ball (SURFACE_TYPES[type].spinGrip).
+ */
+
+export const SPIN_TYPES = {
+  NONE: 'none',
+  BACKSPIN: 'backspin',
+  TOPSPIN: 'topspin',
+  DRAW: 'draw',
+  FADE: 'fade'
+};
+
+export const SPIN_SETTINGS = {
+  [SPIN_TYPES.NONE]: { name: 'No spin', back: 0, side: 0 },
+  [SPIN_TYPES.BACKSPIN]: { name: 'Backspin', back: 1, side: 0 },
+  [SPIN_TYPES.TOPSPIN]: { name: 'Topspin', back: -1, side: 0 },
+  [SPIN_TYPES.DRAW]: { name: 'Draw', back: 0, side: -1 },
+  [SPIN_TYPES.FADE]: { name: 'Fade', back: 0, side: 1 }
+};
+
+// Spin the ball leaves the club with for a spin type and the club's spinAmount
+export function getLaunchSpin(spinType, spinAmount = 1) {
+  const settings = SPIN_SETTINGS[spinType] || SPIN_SETTINGS[SPIN_TYPES.NONE];
+  return { back: settings.back * spinAmount, side: settings.side * spinAmount };
+}
+
+// Forward speed multiplier when a spinning ball lands on a surface with the given grip
+// Full wedge backspin on a green (grip 1) sends the ball back at 80% of its landing speed
+export function getLandingSpinFactor(spin, grip) {
+  const backEffect = spin.back > 0 ? 1.8 * spin.back : 0.4 * spin.back; // Topspin only skids it on a little
+  const sideEffect = 0.25 * spin.side; // Fade lands soft, draw releases
+  return 1 - grip * (backEffect + sideEffect);
+}
@@ -0,0 +1,148 @@
+/**
+ * Surfaces - The lies a hole is made of, from tee box to cart path
+ *
+ * A hole's length is split into x-ranges of surface types, either listed in
+ * the course file ("surfaces": [{ "type": "rough", "startX": 0, "endX": 400 }])
+ * or laid out by createDefaultSurfaces. The surface under the ball changes
+ * how it rolls and bounces, and how well the next shot comes off.
+ *
+ *   rollFriction - multiplies the club's per-step rolling friction (lower stops sooner, capped at 0.999)
+ *   bounce       - multiplies how much the ball bounces on landing
+ *   power        - multiplies the power of the next shot from this lie
+ *   accuracy     - multiplies the shot variation of the next shot (higher is less accurate)
+ *   spinGrip     - how much of the ball's spin takes hold when it lands and rolls (see spin.js)
+ */
+
+export const SURFACE_TYPES = {
+  tee: { name: 'Tee box', color: 0x66BB6A, rollFriction: 1.0, bounce: 1.0, power: 1.0, accuracy: 0.8, spinGrip: 0.7 },
+  fairway: { name: 'Fairway', color: 0x5CB85C, rollFriction: 1.0, bounce: 1.0, power: 1.0, accuracy: 1.0, spinGrip: 0.7 },
+  firstCut: { name: 'First cut', color: 0x4CAF50, rollFriction: 0.99, bounce: 0.85, power: 0.95, accuracy: 1.2, spinGrip: 0.5 },
+  rough: { name: 'Rough', color: 0x3E8E41, rollFriction: 0.96, bounce: 0.6, power: 0.85, accuracy: 1.5, spinGrip: 0.25 },
+  deepRough: { name: 'Deep rough', color: 0x2F6B2A, rollFriction: 0.9, bounce: 0.35, power: 0.65, accuracy: 2.0, spinGrip: 0.1 },
+  fringe: { name: 'Fringe', color: 0x43A047, rollFriction: 0.97, bounce: 0.8, power: 0.97, accuracy: 1.0, spinGrip: 0.8 },
+  green: { name: 'Green', color: 0x2E7D32, rollFriction: 1.02, bounce: 0.8, power: 1.0, accuracy: 1.0, spinGrip: 1.0 },
+  cartPath: { name: 'Cart path', color: 0x9E9E9E, rollFriction: 1.01, bounce: 1.6, power: 0.95, accuracy: 1.3, spinGrip: 0.2 },
+  bunker: { name: 'Bunker', color: 0xF4E4BC, rollFriction: 1.0, bounce: 0.3, power: 0.8, accuracy: 1.6, spinGrip: 0.3 } // Sand drag is handled by GolfBall.checkBunkerCollision
+};
+
+// Green speed (stimpmeter reading in feet) GREEN_HOLDING_SLOPE is tuned for
+export const DEFAULT_STIMP = 10;
+
+// Steepest green slope a stopped ball stays put on at the default stimp - the green's
+// rolling resistance, as a share of the pull down a slope
+const GREEN_HOLDING_SLOPE = 0.02;
+
+// Lie used outside every range (and for holes with no surfaces)
+export const DEFAULT_SURFACE = 'rough';
+
+// Surfaces with their own overlay, so the surface strip isn't drawn over them
+const OVERLAY_SURFACES = ['green', 'bunker'];
+
+// Depth of the surface strip drawn along the top of the terrain
+const SURFACE_STRIP_DEPTH = 1.5; // Above the terrain fill, below green and water overlays
+const SURFACE_STRIP_THICKNESS = 14;
+
+// Lay out a typical hole: tee box, a carry over rough to the fairway, fringe round the green
+export function createDefaultSurfaces(hole) {
+  const teeStartX = Math.max(0, hole.tee.x - 150);
+  const teeEndX = hole.tee.x + 150;
+  const greenStartX = hole.green.startX;
+  const greenEndX = hole.green.startX + hole.green.width;
+  const fringeWidth = 60;
+  const cutWidth = 100;
+
+  // Fairway starts a short carry from the tee (shorter holes are mostly fairway)
+  const approachStartX = teeEndX + (greenStartX - fringeWidth - teeEndX) * 0.2;
+
+  return [
+    { type: 'rough', startX: 0, endX: teeStartX },
+    { type: 'tee', startX: teeStartX, endX: teeEndX },
+    { type: 'rough', startX: teeEndX, endX: approachStartX - cutWidth },
+    { type: 'firstCut', startX: approachStartX - cutWidth, endX: approachStartX },
+    { type: 'fairway', startX: approachStartX, endX: greenStartX - fringeWidth },
+    { type: 'fringe', startX: greenStartX - fringeWidth, endX: greenStartX },
+    { type: 'green', startX: greenStartX, endX: greenEndX },
+    { type: 'fringe', startX: greenEndX, endX: greenEndX + fringeWidth },
+    { type: 'firstCut', startX: greenEndX + fringeWidth, endX: greenEndX + fringeWidth + cutWidth },
+    { type: 'rough', startX: greenEndX + fringeWidth + cutWidth, endX: greenEndX + 600 },
+    { type: 'deepRough', startX: greenEndX + 600, endX: hole.width }
+  ].filter(surface => surface.endX > surface.startX);
+}
+
+// Find the surface type at x (ranges earlier in the list win where they overlap)
+export function findSurface(surfaces, x) {
+  const surface = surfaces.find(range => x >= range.startX && x < range.endX);
+  return { type: surface ? surface.type : DEFAULT_SURFACE, ...SURFACE_TYPES[surface ? surface.type : DEFAULT_SURFACE] };
+}
+
+// Split surfaces into sorted non-overlapping ranges for a binary search (same lie as findSurface at every x)
+export function indexSurfaces(surfaces) {
+  const edges = [...new Set(surfaces.flatMap(range => [range.startX, range.endX]))].sort((a, b) => a - b);
+  return edges.slice(0, -1).map((startX, i) => ({
+    startX: startX,
+    endX: edges[i + 1],
+    surface: findSurface(surfaces, (startX + edges[i + 1]) / 2)
+  }));
+}
+
+// Find the surface type at x in ranges from indexSurfaces
+export function findIndexedSurface(index, x) {
+  let low = 0;
+  let high = index.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = index[middle];
+    if (x < range.startX) {
+      high = middle - 1;
+    } else if (x >= range.endX) {
+      low = middle + 1;
+    } else {
+      return { ...range.surface };
+    }
+  }
+  return { type: DEFAULT_SURFACE, ...SURFACE_TYPES[DEFAULT_SURFACE] };
+}
+
+// Draw the surface strip along the terrain outline
+export function drawSurfaces(scene, heightMap, surfaces) {
+  const graphics = scene.add.graphics();
+  graphics.setDepth(SURFACE_STRIP_DEPTH);
+
+  for (let i = 0; i < heightMap.length - 1; i++) {
+    const point1 = heightMap[i];
+    const point2 = heightMap[i + 1];
+    const surface = findSurface(surfaces, (point1.x + point2.x) / 2);
+    if (OVERLAY_SURFACES.includes(surface.type)) continue;
+
+    graphics.fillStyle(surface.color);
+    graphics.fillPoints([
+      { x: point1.x, y: point1.y },
+      { x: point2.x, y: point2.y },
+      { x: point2.x, y: point2.y + SURFACE_STRIP_THICKNESS },
+      { x: point1.x, y: point1.y + SURFACE_STRIP_THICKNESS }
+    ], true);
+  }
+
+  return graphics;
+}
+
+// Steepest slope a ball can rest on at the given green speed (faster greens hold less
+// and roll out further)
+export function getGreenHoldingSlope(stimp = DEFAULT_STIMP) {
+  return GREEN_HOLDING_SLOPE * DEFAULT_STIMP / stimp;
+}
+
+// Height in pixels (up is positive) of a green's authored contour at x
+// green.contour lists heights at evenly spaced points from the front to the back
+// of the green; beyond the edges the nearest edge height is used
+export function getGreenContourHeight(green, x) {
+  const contour = green.contour;
+  if (!contour || contour.length === 0) return 0;
+  if (contour.length === 1) return contour[0];
+
+  const progress = Math.max(0, Math.min((x - green.startX) / green.width, 1)) * (contour.length - 1);
+  const index = Math.min(Math.floor(progress), contour.length - 2);
+  const t = progress - index;
+  const eased = t * t * (3 - 2 * t); // Smooth step so the green has no creases
+  return contour[index] + (contour[index + 1] - contour[index]) * eased;
+}
@@ -1,10 +1,12 @@
 /**
  * Wind system for golf game
  */
+import { SeededRandom } from './random.js';
 
 export class WindSystem {
-  constructor(scene) {
+  constructor(scene, random = new SeededRandom()) {
     this.scene = scene;
+    this.random = random; // Seeded random source for wind speed and direction
     
     // Wind properties
     this.windSpeed = 0; // Miles per hour (0-15)
@@ -22,8 +24,8 @@ export class WindSystem {
 
   // Generate initial random wind
   generateRandomWind() {
-    this.windSpeed = Math.random() * this.maxWindSpeed;
-    this.windDirection = Math.random() * 360;
+    this.windSpeed = this.random.next() * this.maxWindSpeed;
+    this.windDirection = this.random.next() * 360;
   }
 
   // Update wind over time
@@ -39,11 +41,11 @@ export class WindSystem {
   // Gradually change wind speed and direction
   fluctuateWind() {
     // Change wind speed slightly
-    const speedChange = (Math.random() - 0.5) * this.windChangeAmount;
+    const speedChange = (this.random.next() - 0.5) * this.windChangeAmount;
     this.windSpeed = Math.max(0, Math.min(this.maxWindSpeed, this.windSpeed + speedChange));
     
     // Change wind direction slightly
-    const directionChange = (Math.random() - 0.5) * 30; // Up to 15 degrees change
+    const directionChange = (this.random.next() - 0.5) * 30; // Up to 15 degrees change
     this.windDirection = (this.windDirection + directionChange + 360) % 360;
   }
 
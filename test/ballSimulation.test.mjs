@@ -0,0 +1,119 @@
+/**
+ * Yardage model checks - every club from every tee of the bundled courses
+ *
+ * Runs the headless ball simulation (BallSimulation.js) and checks each full-power
+ * shot's carry and roll against the range for its club on that terrain shape.
+ * Shots that end in the water or out of bounds come back with no carry or roll,
+ * so they only have to end in a known hazard outcome; every terrain and club still
+ * needs at least one shot in range. Putts are also rolled along a flat hole laid
+ * with a single surface, to compare how far the ball runs on each.
+ *
+ * Run with: node --test test/*.test.mjs
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCourse, parseHole } from '../js/CourseLoader.js';
+import { simulateShot, simulateClubs } from '../js/BallSimulation.js';
+
+const COURSE_FILES = ['default.json', 'championship.json'];
+
+// Carry and roll in yards ([min, max]) for a full-power shot with each club on each terrain shape
+// (roll is negative when the ball lands on a slope and runs back towards the tee)
+const YARDAGE_RANGES = {
+  rolling: {
+    driver: { carry: [183, 197], roll: [50, 110] },
+    iron: { carry: [212, 228], roll: [20, 80] },
+    wedge: { carry: [100, 112], roll: [0, 35] },
+    putter: { carry: [0, 0], roll: [30, 40] }
+  },
+  gentle: {
+    driver: { carry: [186, 200], roll: [35, 95] },
+    iron: { carry: [215, 231], roll: [0, 60] },
+    wedge: { carry: [101, 113], roll: [20, 40] },
+    putter: { carry: [0, 0], roll: [30, 40] }
+  },
+  elevatedTee: {
+    driver: { carry: [195, 215], roll: [-10, 70] },
+    iron: { carry: [218, 245], roll: [-35, 30] },
+    wedge: { carry: [105, 122], roll: [0, 45] },
+    putter: { carry: [0, 0], roll: [30, 85] }
+  }
+};
+
+// Outcomes that take the ball back (stroke and distance) or drop it, so carry and roll aren't measured
+const HAZARD_OUTCOMES = ['water', 'outOfBounds'];
+
+// Half-power putt along a flat hole, well clear of its ends and the cup
+const FLAT_PUTT = { club: 'putter', power: 1, x: 1200 };
+
+function loadCourse(file) {
+  const url = new URL(`../assets/courses/${file}`, import.meta.url);
+  return parseCourse(JSON.parse(readFileSync(url, 'utf8')));
+}
+
+// Flat hole with one surface from end to end (the green's contour and speed only count on a green)
+function createFlatHole(surface, green = {}) {
+  return parseHole({
+    width: 12000,
+    terrain: { type: 'profile', path: 'M 0 0 L 100 0', amplitude: 0 },
+    green: { startX: 1000, width: 10000, height: 0, ...green },
+    pin: { x: 11800 },
+    surfaces: [{ type: surface, startX: 0, endX: 12000 }]
+  }, 1);
+}
+
+// Shots in range for each terrain and club, filled in as the course tests run
+const shotsInRange = {};
+
+for (const file of COURSE_FILES) {
+  const course = loadCourse(file);
+
+  course.holes.forEach((hole, index) => {
+    const terrainType = hole.terrain.type;
+
+    test(`${file} hole ${index + 1} (${terrainType}) carry and roll per club`, () => {
+      const ranges = YARDAGE_RANGES[terrainType];
+      assert.ok(ranges, `no yardage ranges for terrain "${terrainType}"`);
+
+      for (const shot of simulateClubs(hole)) {
+        const label = `${shot.club} (${shot.outcome}, carry ${shot.carry}, roll ${shot.roll})`;
+        if (HAZARD_OUTCOMES.includes(shot.outcome)) {
+          continue;
+        }
+        assert.ok(['stopped', 'holed'].includes(shot.outcome), `${label} did not finish`);
+
+        const { carry, roll } = ranges[shot.club];
+        assert.ok(shot.carry >= carry[0] && shot.carry <= carry[1], `${label} carry outside ${carry.join('-')} yards`);
+        assert.ok(shot.roll >= roll[0] && shot.roll <= roll[1], `${label} roll outside ${roll.join('-')} yards`);
+
+        const key = `${terrainType} ${shot.club}`;
+        shotsInRange[key] = (shotsInRange[key] || 0) + 1;
+      }
+    });
+  });
+}
+
+test('putts roll further on the green than on the fringe or first cut', () => {
+  const green = simulateShot(createFlatHole('green'), FLAT_PUTT);
+  assert.equal(green.outcome, 'stopped');
+
+  for (const surface of ['fringe', 'firstCut']) {
+    const shot = simulateShot(createFlatHole(surface), FLAT_PUTT);
+    assert.ok(green.total > shot.total, `green putt (${green.total} yards) no further than on ${surface} (${shot.total} yards)`);
+  }
+});
+
+test('putts roll further on a faster green', () => {
+  const slow = simulateShot(createFlatHole('green', { stimp: 8 }), FLAT_PUTT);
+  const fast = simulateShot(createFlatHole('green', { stimp: 12 }), FLAT_PUTT);
+  assert.ok(fast.total >= slow.total * 1.1, `stimp 12 putt (${fast.total} yards) not 10% further than stimp 8 (${slow.total} yards)`);
+});
+
+test('every club is checked on every terrain', () => {
+  for (const [terrainType, clubs] of Object.entries(YARDAGE_RANGES)) {
+    for (const club of Object.keys(clubs)) {
+      assert.ok(shotsInRange[`${terrainType} ${club}`] > 0, `no ${club} shot finished on a ${terrainType} hole`);
+    }
+  }
+});